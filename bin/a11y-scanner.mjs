@@ -1,8 +1,11 @@
 #!/usr/bin/env node
 import { runCli } from '../src/cli.mjs';
+import { EXIT_CODES } from '../src/gate.mjs';
 
-runCli(process.argv).catch((err) => {
+runCli(process.argv).then((code) => {
+  process.exitCode = code || EXIT_CODES.pass;
+}).catch((err) => {
   const msg = err && err.message ? err.message : String(err);
   console.error(msg);
-  process.exit(1);
+  process.exit(EXIT_CODES.crashed);
 });
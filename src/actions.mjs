@@ -0,0 +1,87 @@
+import { compilePatterns } from './utils.mjs';
+
+const STEP_KEYS = ['click', 'type', 'waitFor', 'wait', 'viewport', 'navigate'];
+
+function parsePa11yAction(action) {
+  const text = String(action).trim();
+  let m = text.match(/^click( element)? (.+)$/i);
+  if (m) return { click: m[2] };
+  m = text.match(/^set field (.+?) to (.*)$/i);
+  if (m) return { type: m[1], text: m[2] };
+  m = text.match(/^wait for element (.+?) to be (visible|hidden|added|removed)$/i);
+  if (m) return { waitFor: m[1], state: m[2].toLowerCase() };
+  m = text.match(/^wait for (\d+)(ms)?$/i);
+  if (m) return { wait: Number(m[1]) };
+  m = text.match(/^navigate to (.+)$/i);
+  if (m) return { navigate: m[1] };
+  m = text.match(/^set viewport to (\d+)x(\d+)$/i);
+  if (m) return { viewport: { width: Number(m[1]), height: Number(m[2]) } };
+  throw new Error(`Unsupported action: "${text}"`);
+}
+
+function normaliseStep(step) {
+  if (typeof step === 'string') return parsePa11yAction(step);
+  if (step && typeof step === 'object' && STEP_KEYS.some((key) => key in step)) return step;
+  throw new Error(`Unsupported action step: ${JSON.stringify(step)}`);
+}
+
+export function describeStep(step) {
+  if ('click' in step) return `click element ${step.click}`;
+  if ('type' in step) return `set field ${step.type} to ${step.text ?? ''}`;
+  if ('waitFor' in step) return `wait for element ${step.waitFor} to be ${step.state || 'visible'}`;
+  if ('wait' in step) return `wait for ${Number(step.wait) || 0}ms`;
+  if ('navigate' in step) return `navigate to ${step.navigate}`;
+  return `set viewport to ${step.viewport.width}x${step.viewport.height}`;
+}
+
+export function actionsForUrl(cfg, url) {
+  const entries = Array.isArray(cfg.actions) ? cfg.actions : [];
+  const steps = [];
+  for (const entry of entries) {
+    if (entry && typeof entry === 'object' && Array.isArray(entry.steps)) {
+      const patterns = compilePatterns(entry.match);
+      if (patterns.length && !patterns.some((test) => test(url))) continue;
+      steps.push(...entry.steps.map(normaliseStep));
+    } else {
+      steps.push(normaliseStep(entry));
+    }
+  }
+  return steps;
+}
+
+async function waitForState(page, selector, state, timeout) {
+  if (state === 'hidden') return page.waitForSelector(selector, { hidden: true, timeout });
+  if (state === 'removed') {
+    return page.waitForFunction((sel) => !document.querySelector(sel), { timeout }, selector);
+  }
+  if (state === 'added') return page.waitForSelector(selector, { timeout });
+  return page.waitForSelector(selector, { visible: true, timeout });
+}
+
+export async function runActions(page, steps, cfg) {
+  const timeout = cfg.timeout;
+  for (const step of steps) {
+    try {
+      if ('click' in step) {
+        await page.waitForSelector(step.click, { timeout });
+        await page.click(step.click);
+      } else if ('type' in step) {
+        await page.waitForSelector(step.type, { timeout });
+        await page.$eval(step.type, (el) => {
+          el.value = '';
+        });
+        await page.type(step.type, String(step.text ?? ''));
+      } else if ('waitFor' in step) {
+        await waitForState(page, step.waitFor, step.state || 'visible', timeout);
+      } else if ('wait' in step) {
+        await new Promise((resolve) => setTimeout(resolve, Number(step.wait) || 0));
+      } else if ('navigate' in step) {
+        await page.goto(new URL(step.navigate, page.url()).toString(), { waitUntil: 'networkidle2', timeout });
+      } else if ('viewport' in step) {
+        await page.setViewport({ ...page.viewport(), ...step.viewport });
+      }
+    } catch (error) {
+      throw new Error(`Action failed (${describeStep(step)}): ${error.message}`);
+    }
+  }
+}
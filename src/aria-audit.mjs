@@ -0,0 +1,245 @@
+import { installPageHelpers } from './page-helpers.mjs';
+import {
+  ABSTRACT_ROLES,
+  ARIA_ATTRIBUTES,
+  ARIA_ROLES,
+  GLOBAL_ARIA_ATTRIBUTES,
+  ID_REFERENCE_ATTRIBUTES,
+  IMPLICIT_ROLES,
+  ROLE_PREFIXES
+} from './aria-roles.mjs';
+
+const MAX_PER_CODE = 25;
+
+function checkAria(table) {
+  const { cssPath, cleanText, tabbables, describeNode, createCollector } = window.__a11y;
+  const { issues, push } = createCollector('custom-aria-audit', { maxPerCode: table.max });
+  const roles = table.roles;
+  const abstract = new Set(table.abstract);
+  const known = new Set(table.attributes);
+  const global = new Set(table.global);
+  const transparent = new Set(['generic', 'none', 'presentation']);
+  const levelA = (criterion, rule) => {
+    const [principle, guideline] = criterion.split('.');
+    return `WCAG2A.Principle${principle}.Guideline${principle}_${guideline}.${criterion.replace(/\./g, '_')}.${rule}`;
+  };
+
+  const isKnownRole = (role) => Boolean(roles[role]) || table.prefixes.some((prefix) => role.startsWith(prefix));
+
+  // First recognised token of the role attribute, else the element's implicit role.
+  function roleOf(el) {
+    const tokens = cleanText(el.getAttribute('role')).toLowerCase().split(' ').filter(Boolean);
+    const explicit = tokens.find(isKnownRole);
+    if (explicit) return explicit;
+    const implicit = table.implicit.find(([selector]) => el.matches(selector));
+    return implicit ? implicit[1] : null;
+  }
+
+  function owners(el) {
+    return el.id ? Array.from(document.querySelectorAll('[aria-owns]')).filter((owner) => cleanText(owner.getAttribute('aria-owns')).split(' ').includes(el.id)) : [];
+  }
+
+  // Children in the accessibility tree: look through generic and presentational wrappers, add aria-owns.
+  function ownedRoles(el) {
+    const found = [];
+    const visit = (node) => {
+      for (const child of node.children) {
+        if (child.hidden || child.getAttribute('aria-hidden') === 'true') continue;
+        const role = roleOf(child);
+        if (!role || transparent.has(role)) visit(child);
+        else found.push(role);
+      }
+    };
+    visit(el);
+    for (const id of cleanText(el.getAttribute('aria-owns')).split(' ').filter(Boolean)) {
+      const owned = document.getElementById(id);
+      if (owned) found.push(roleOf(owned) || 'generic');
+    }
+    return found;
+  }
+
+  function contextRole(el) {
+    const owner = owners(el)[0];
+    let node = owner || el.parentElement;
+    while (node && node !== document.documentElement) {
+      const role = roleOf(node);
+      if (role && !transparent.has(role)) return role;
+      node = node.parentElement;
+    }
+    return null;
+  }
+
+  const all = Array.from(document.body ? document.body.querySelectorAll('*') : []);
+
+  for (const el of all) {
+    const where = `Element: ${describeNode(el)}`;
+    const selector = cssPath(el);
+    const rawRole = cleanText(el.getAttribute('role')).toLowerCase();
+
+    if (rawRole) {
+      const tokens = rawRole.split(' ');
+      if (!tokens.some(isKnownRole)) {
+        const isAbstract = tokens.some((token) => abstract.has(token));
+        push({
+          code: isAbstract ? 'WCAG2A.Principle4.Guideline4_1.4_1_2.ARIA.AbstractRole' : 'WCAG2A.Principle4.Guideline4_1.4_1_2.ARIA.UnknownRole',
+          message: isAbstract
+            ? `role="${rawRole}" is an abstract ARIA role and must not be used in content.`
+            : `role="${rawRole}" is not a valid ARIA role.`,
+          selector,
+          context: where,
+          criterion: '4.1.2'
+        });
+      }
+    }
+
+    const role = roleOf(el);
+    const spec = role ? roles[role] : null;
+    const explicit = rawRole && role && rawRole.split(' ').includes(role);
+    const busy = el.getAttribute('aria-busy') === 'true';
+
+    if (spec && spec.owned && !busy) {
+      const owned = ownedRoles(el);
+      if (owned.length && !owned.some((child) => spec.owned.includes(child))) {
+        push({
+          code: 'WCAG2A.Principle1.Guideline1_3.1_3_1.ARIA.RequiredOwned',
+          message: `Element with role ${role} does not contain any ${spec.owned.join(' or ')} element.`,
+          selector,
+          context: `${where}; contains ${[...new Set(owned)].slice(0, 5).join(', ')}`,
+          criterion: '1.3.1',
+          extras: { role, required: spec.owned }
+        });
+      }
+    }
+
+    if (spec && spec.context && explicit) {
+      const parent = contextRole(el);
+      if (!spec.context.includes(parent)) {
+        push({
+          code: 'WCAG2A.Principle1.Guideline1_3.1_3_1.ARIA.RequiredContext',
+          message: `Element with role ${role} must be inside ${spec.context.join(' or ')}.`,
+          selector,
+          context: `${where}; nearest container role is ${parent || 'none'}`,
+          criterion: '1.3.1',
+          extras: { role, context: spec.context, found: parent }
+        });
+      }
+    }
+
+    if (spec && spec.required && explicit) {
+      const missing = spec.required.filter((attr) => !el.hasAttribute(attr));
+      if (missing.length) {
+        push({
+          code: 'WCAG2A.Principle4.Guideline4_1.4_1_2.ARIA.RequiredAttribute',
+          message: `Element with role ${role} is missing required ${missing.join(', ')}.`,
+          selector,
+          context: where,
+          criterion: '4.1.2',
+          extras: { role, missing }
+        });
+      }
+    }
+
+    for (const { name, value } of Array.from(el.attributes)) {
+      if (!name.startsWith('aria-')) continue;
+      if (!known.has(name)) {
+        push({
+          code: 'WCAG2A.Principle4.Guideline4_1.4_1_2.ARIA.UnknownAttribute',
+          message: `${name} is not a valid ARIA attribute.`,
+          selector,
+          context: `${where}; ${name}="${value.slice(0, 40)}"`,
+          criterion: '4.1.2'
+        });
+        continue;
+      }
+      if (!spec) continue;
+      if (spec.nameProhibited && (name === 'aria-label' || name === 'aria-labelledby')) {
+        push({
+          code: 'WCAG2A.Principle4.Guideline4_1.4_1_2.ARIA.NameProhibited',
+          type: 'warning',
+          message: `${name} is not supported on role ${role}, so the name is ignored by assistive technology.`,
+          selector,
+          context: `${where}; ${name}="${value.slice(0, 40)}"`,
+          criterion: '4.1.2'
+        });
+        continue;
+      }
+      if (!global.has(name) && !(spec.supported || []).includes(name) && !(spec.required || []).includes(name)) {
+        push({
+          code: 'WCAG2A.Principle4.Guideline4_1.4_1_2.ARIA.AttributeNotAllowed',
+          message: `${name} is not allowed on role ${role}.`,
+          selector,
+          context: `${where}; ${name}="${value.slice(0, 40)}"`,
+          criterion: '4.1.2',
+          extras: { role, attribute: name }
+        });
+      }
+    }
+  }
+
+  // ID references: missing targets and duplicate IDs that make the target ambiguous.
+  const idCounts = new Map();
+  for (const el of document.querySelectorAll('[id]')) idCounts.set(el.id, (idCounts.get(el.id) || 0) + 1);
+  const reportedDuplicates = new Set();
+  const refSelector = Object.keys(table.references).map((attr) => `[${attr}]`).join(', ');
+  for (const el of document.querySelectorAll(`${refSelector}, label[for]`)) {
+    const refs = el.tagName === 'LABEL' ? [['for', el.getAttribute('for')]] : [];
+    for (const attr of Object.keys(table.references)) {
+      if (el.hasAttribute(attr)) refs.push([attr, el.getAttribute(attr)]);
+    }
+    for (const [attr, value] of refs) {
+      const ids = cleanText(value).split(' ').filter(Boolean);
+      const missing = attr === 'for' ? [] : ids.filter((id) => !idCounts.has(id));
+      if (missing.length) {
+        push({
+          code: levelA(table.references[attr], 'ARIA.BrokenReference'),
+          message: `${attr} points at ${missing.length > 1 ? 'IDs that do' : 'an ID that does'} not exist.`,
+          selector: cssPath(el),
+          context: `Element: ${describeNode(el)}; ${attr}="${value.slice(0, 80)}"; missing ${missing.map((id) => `#${id}`).join(', ')}`,
+          criterion: table.references[attr],
+          extras: { attribute: attr, missing }
+        });
+      }
+      for (const id of ids) {
+        if ((idCounts.get(id) || 0) < 2 || reportedDuplicates.has(id)) continue;
+        reportedDuplicates.add(id);
+        push({
+          code: 'WCAG2A.Principle4.Guideline4_1.4_1_2.ARIA.DuplicateReferencedId',
+          message: `id="${id}" is used ${idCounts.get(id)} times and is referenced by ${attr}, so the reference is ambiguous.`,
+          selector: `#${CSS.escape(id)}`,
+          context: `Referenced from ${cssPath(el)}`,
+          criterion: '4.1.2',
+          extras: { id, count: idCounts.get(id), attribute: attr }
+        });
+      }
+    }
+  }
+
+  // Keyboard users can reach these, but screen readers are told they do not exist.
+  for (const el of tabbables()) {
+    const container = el.closest('[aria-hidden="true"]');
+    if (!container || !el.checkVisibility({ visibilityProperty: true })) continue;
+    push({
+      code: 'WCAG2A.Principle4.Guideline4_1.4_1_2.ARIA.HiddenFocusable',
+      message: 'Focusable element is inside an aria-hidden="true" container.',
+      selector: cssPath(el),
+      context: `Element: ${describeNode(el)}; hidden by ${cssPath(container)}`,
+      criterion: '4.1.2'
+    });
+  }
+
+  return issues;
+}
+
+export async function runAriaAudit(page) {
+  await installPageHelpers(page);
+  return page.evaluate(checkAria, {
+    roles: ARIA_ROLES,
+    abstract: ABSTRACT_ROLES,
+    prefixes: ROLE_PREFIXES,
+    attributes: ARIA_ATTRIBUTES,
+    global: GLOBAL_ARIA_ATTRIBUTES,
+    references: ID_REFERENCE_ATTRIBUTES,
+    implicit: IMPLICIT_ROLES,
+    max: MAX_PER_CODE
+  });
+}
@@ -0,0 +1,180 @@
+// WAI-ARIA 1.2 roles. `supported` lists role-specific attributes (inherited ones included), `required`
+// attributes the role needs, `owned` roles it must contain, `context` roles it must sit in, and
+// `nameProhibited` roles that may not be named with aria-label or aria-labelledby.
+
+const CELL = ['aria-colindex', 'aria-colindextext', 'aria-colspan', 'aria-rowindex', 'aria-rowindextext', 'aria-rowspan'];
+const GRID_CELL = [...CELL, 'aria-expanded', 'aria-readonly', 'aria-required', 'aria-selected'];
+const MENU_ITEM = ['aria-expanded', 'aria-posinset', 'aria-setsize'];
+const RANGE = ['aria-valuemax', 'aria-valuemin', 'aria-valuenow', 'aria-valuetext'];
+const TEXTBOX = ['aria-activedescendant', 'aria-autocomplete', 'aria-multiline', 'aria-placeholder', 'aria-readonly', 'aria-required'];
+const GRID = ['aria-activedescendant', 'aria-colcount', 'aria-multiselectable', 'aria-readonly', 'aria-rowcount'];
+const MENU_CONTEXT = ['menu', 'menubar', 'group'];
+
+export const ARIA_ROLES = {
+  alert: {},
+  alertdialog: { supported: ['aria-modal'] },
+  application: { supported: ['aria-activedescendant', 'aria-expanded'] },
+  article: { supported: ['aria-posinset', 'aria-setsize'] },
+  banner: {},
+  blockquote: {},
+  button: { supported: ['aria-expanded', 'aria-pressed'] },
+  caption: { context: ['figure', 'grid', 'table', 'treegrid'], nameProhibited: true },
+  cell: { supported: CELL, context: ['row'] },
+  checkbox: { supported: ['aria-checked', 'aria-expanded', 'aria-readonly', 'aria-required'], required: ['aria-checked'] },
+  code: { nameProhibited: true },
+  columnheader: { supported: [...GRID_CELL, 'aria-sort'], context: ['row'] },
+  combobox: { supported: ['aria-activedescendant', 'aria-autocomplete', 'aria-expanded', 'aria-readonly', 'aria-required'], required: ['aria-expanded'] },
+  complementary: {},
+  contentinfo: {},
+  definition: {},
+  deletion: { nameProhibited: true },
+  dialog: { supported: ['aria-modal'] },
+  directory: {},
+  document: {},
+  emphasis: { nameProhibited: true },
+  feed: { owned: ['article'] },
+  figure: {},
+  form: {},
+  generic: { nameProhibited: true },
+  grid: { supported: GRID, owned: ['row', 'rowgroup'] },
+  gridcell: { supported: GRID_CELL, context: ['row'] },
+  group: { supported: ['aria-activedescendant'] },
+  heading: { supported: ['aria-level'], required: ['aria-level'] },
+  img: {},
+  insertion: { nameProhibited: true },
+  link: { supported: ['aria-expanded'] },
+  list: { owned: ['listitem'] },
+  listbox: { supported: ['aria-activedescendant', 'aria-expanded', 'aria-multiselectable', 'aria-orientation', 'aria-readonly', 'aria-required'], owned: ['option', 'group'] },
+  listitem: { supported: ['aria-level', 'aria-posinset', 'aria-setsize'], context: ['list', 'directory'] },
+  log: {},
+  main: {},
+  mark: {},
+  marquee: {},
+  math: {},
+  menu: { supported: ['aria-activedescendant', 'aria-orientation'], owned: ['menuitem', 'menuitemcheckbox', 'menuitemradio', 'group'] },
+  menubar: { supported: ['aria-activedescendant', 'aria-orientation'], owned: ['menuitem', 'menuitemcheckbox', 'menuitemradio', 'group'] },
+  menuitem: { supported: MENU_ITEM, context: MENU_CONTEXT },
+  menuitemcheckbox: { supported: [...MENU_ITEM, 'aria-checked'], required: ['aria-checked'], context: MENU_CONTEXT },
+  menuitemradio: { supported: [...MENU_ITEM, 'aria-checked'], required: ['aria-checked'], context: MENU_CONTEXT },
+  meter: { supported: RANGE, required: ['aria-valuenow'] },
+  navigation: {},
+  none: { nameProhibited: true },
+  note: {},
+  option: { supported: ['aria-checked', 'aria-posinset', 'aria-selected', 'aria-setsize'], context: ['listbox', 'group'] },
+  paragraph: { nameProhibited: true },
+  presentation: { nameProhibited: true },
+  progressbar: { supported: RANGE },
+  radio: { supported: ['aria-checked', 'aria-posinset', 'aria-setsize'], required: ['aria-checked'] },
+  radiogroup: { supported: ['aria-activedescendant', 'aria-orientation', 'aria-readonly', 'aria-required'] },
+  region: {},
+  row: { supported: ['aria-activedescendant', 'aria-colindex', 'aria-colindextext', 'aria-expanded', 'aria-level', 'aria-posinset', 'aria-rowindex', 'aria-rowindextext', 'aria-selected', 'aria-setsize'], context: ['grid', 'rowgroup', 'table', 'treegrid'], owned: ['cell', 'columnheader', 'gridcell', 'rowheader'] },
+  rowgroup: { context: ['grid', 'table', 'treegrid'], owned: ['row'] },
+  rowheader: { supported: [...GRID_CELL, 'aria-sort'], context: ['row'] },
+  scrollbar: { supported: [...RANGE, 'aria-orientation'], required: ['aria-controls', 'aria-valuenow'] },
+  search: {},
+  searchbox: { supported: TEXTBOX },
+  separator: { supported: [...RANGE, 'aria-orientation'] },
+  slider: { supported: [...RANGE, 'aria-orientation', 'aria-readonly'], required: ['aria-valuenow'] },
+  spinbutton: { supported: [...RANGE, 'aria-activedescendant', 'aria-readonly', 'aria-required'] },
+  status: {},
+  strong: { nameProhibited: true },
+  subscript: { nameProhibited: true },
+  superscript: { nameProhibited: true },
+  switch: { supported: ['aria-checked', 'aria-expanded', 'aria-readonly', 'aria-required'], required: ['aria-checked'] },
+  tab: { supported: ['aria-expanded', 'aria-posinset', 'aria-selected', 'aria-setsize'], context: ['tablist'] },
+  table: { supported: ['aria-colcount', 'aria-rowcount'], owned: ['row', 'rowgroup'] },
+  tablist: { supported: ['aria-activedescendant', 'aria-multiselectable', 'aria-orientation'], owned: ['tab'] },
+  tabpanel: {},
+  term: {},
+  textbox: { supported: TEXTBOX },
+  time: { nameProhibited: true },
+  timer: {},
+  toolbar: { supported: ['aria-activedescendant', 'aria-orientation'] },
+  tooltip: {},
+  tree: { supported: ['aria-activedescendant', 'aria-multiselectable', 'aria-orientation', 'aria-required'], owned: ['treeitem', 'group'] },
+  treegrid: { supported: [...GRID, 'aria-orientation', 'aria-required'], owned: ['row', 'rowgroup'] },
+  treeitem: { supported: ['aria-checked', 'aria-expanded', 'aria-level', 'aria-posinset', 'aria-selected', 'aria-setsize'], context: ['group', 'tree'] }
+};
+
+export const ABSTRACT_ROLES = ['command', 'composite', 'input', 'landmark', 'range', 'roletype', 'section', 'sectionhead', 'select', 'structure', 'widget', 'window'];
+
+// DPUB-ARIA and Graphics-ARIA roles are accepted without further checks.
+export const ROLE_PREFIXES = ['doc-', 'graphics-'];
+
+export const GLOBAL_ARIA_ATTRIBUTES = [
+  'aria-atomic', 'aria-braillelabel', 'aria-brailleroledescription', 'aria-busy', 'aria-controls', 'aria-current',
+  'aria-describedby', 'aria-description', 'aria-details', 'aria-disabled', 'aria-dropeffect', 'aria-errormessage',
+  'aria-flowto', 'aria-grabbed', 'aria-haspopup', 'aria-hidden', 'aria-invalid', 'aria-keyshortcuts', 'aria-label',
+  'aria-labelledby', 'aria-live', 'aria-owns', 'aria-relevant', 'aria-roledescription'
+];
+
+export const ARIA_ATTRIBUTES = [...new Set([
+  ...GLOBAL_ARIA_ATTRIBUTES,
+  ...Object.values(ARIA_ROLES).flatMap((role) => [...(role.supported || []), ...(role.required || [])])
+])];
+
+// ID-reference attributes and the criterion a broken reference fails.
+export const ID_REFERENCE_ATTRIBUTES = {
+  'aria-labelledby': '4.1.2',
+  'aria-activedescendant': '4.1.2',
+  'aria-describedby': '1.3.1',
+  'aria-controls': '1.3.1',
+  'aria-owns': '1.3.1',
+  'aria-details': '1.3.1',
+  'aria-errormessage': '3.3.1',
+  'aria-flowto': '1.3.2'
+};
+
+// HTML elements and their implicit roles, most specific selector first.
+export const IMPLICIT_ROLES = [
+  ['a[href], area[href]', 'link'],
+  ['article', 'article'],
+  ['aside', 'complementary'],
+  ['blockquote', 'blockquote'],
+  ['button, summary', 'button'],
+  ['caption', 'caption'],
+  ['code', 'code'],
+  ['dd', 'definition'],
+  ['del', 'deletion'],
+  ['details, fieldset, optgroup', 'group'],
+  ['dialog', 'dialog'],
+  ['dt', 'term'],
+  ['em', 'emphasis'],
+  ['figure', 'figure'],
+  ['form', 'form'],
+  ['h1, h2, h3, h4, h5, h6', 'heading'],
+  ['hr', 'separator'],
+  ['img[alt=""]', 'presentation'],
+  ['img', 'img'],
+  ['input[type="checkbox"]', 'checkbox'],
+  ['input[type="radio"]', 'radio'],
+  ['input[type="range"]', 'slider'],
+  ['input[type="number"]', 'spinbutton'],
+  ['input[type="search"]', 'searchbox'],
+  ['input[type="button"], input[type="submit"], input[type="reset"], input[type="image"]', 'button'],
+  ['input:not([type]), input[type="text"], input[type="email"], input[type="tel"], input[type="url"]', 'textbox'],
+  ['ins', 'insertion'],
+  ['li', 'listitem'],
+  ['main', 'main'],
+  ['menu, ol, ul', 'list'],
+  ['meter', 'meter'],
+  ['nav', 'navigation'],
+  ['option', 'option'],
+  ['output', 'status'],
+  ['p', 'paragraph'],
+  ['progress', 'progressbar'],
+  ['section[aria-label], section[aria-labelledby]', 'region'],
+  ['select[multiple], select[size]:not([size="1"]):not([size="0"])', 'listbox'],
+  ['select', 'combobox'],
+  ['strong', 'strong'],
+  ['sub', 'subscript'],
+  ['sup', 'superscript'],
+  ['table', 'table'],
+  ['tbody, thead, tfoot', 'rowgroup'],
+  ['td', 'cell'],
+  ['textarea', 'textbox'],
+  ['th', 'columnheader'],
+  ['time', 'time'],
+  ['tr', 'row'],
+  ['b, div, i, s, small, span, u', 'generic']
+];
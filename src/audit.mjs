@@ -1,16 +1,21 @@
 import fs from 'node:fs';
 import path from 'node:path';
-import { criteriaByLevel, criterionFromCode, wcagLevel } from './wcag.mjs';
-import { esc, readUrlList } from './utils.mjs';
+import { criteriaByLevel, criterionFromCode, levelsUpTo, normaliseLevel, targetStandardFromLevel, wcagLevel } from './wcag.mjs';
+import { esc, readUrlList, writeUrlList } from './utils.mjs';
+import { emulationRows, viewportRows } from './report-html.mjs';
 import { scanPage } from './scanners/page.mjs';
 import { scanBatch } from './scanners/batch.mjs';
 import { urlsFromSitemap } from './scanners/xml.mjs';
+import { urlsFromCrawl } from './scanners/crawl.mjs';
+import { withCurlSession } from './auth.mjs';
 
-const AUDIT_STANDARD = 'WCAG2AAA';
-const AUDIT_LEVEL = 'AAA';
+const SCAN_STANDARD = 'WCAG2AAA';
+const DEFAULT_LEVEL = 'AAA';
 
-function buildAudit({ pages, generatedAt, source, scanStandard }) {
+function buildAudit({ pages, generatedAt, source, scanStandard, level: targetLevel, viewports = [], emulations = [] }) {
   const criteria = criteriaByLevel();
+  const auditLevel = normaliseLevel(targetLevel) || DEFAULT_LEVEL;
+  const targetLevels = levelsUpTo(auditLevel);
   const failures = new Map();
   const failedCriteria = new Set();
   const issueTotalsByLevel = { A: 0, AA: 0, AAA: 0, Unknown: 0 };
@@ -60,6 +65,8 @@ function buildAudit({ pages, generatedAt, source, scanStandard }) {
     AAA: criteria.AAA.filter((criterion) => failedCriteria.has(criterion)).length
   };
 
+  const failStatus = (level) => (targetLevels.includes(level) ? 'FAIL' : 'ADVISORY');
+
   const rows = [];
   for (const level of ['A', 'AA', 'AAA']) {
     for (const criterion of criteria[level]) {
@@ -67,7 +74,8 @@ function buildAudit({ pages, generatedAt, source, scanStandard }) {
       rows.push({
         criterion,
         level,
-        status: fail ? 'FAIL' : scanErrorCount > 0 && pagesScanned === 0 ? 'NOT RUN' : 'PASS',
+        advisory: !targetLevels.includes(level),
+        status: fail ? failStatus(level) : scanErrorCount > 0 && pagesScanned === 0 ? 'NOT RUN' : 'PASS',
         issueCount: fail ? fail.issueCount : 0,
         pageCount: fail ? fail.pages.size : 0,
         sampleMessage: fail
@@ -81,9 +89,10 @@ function buildAudit({ pages, generatedAt, source, scanStandard }) {
 
   const levelCards = ['A', 'AA', 'AAA'].map((level) => {
     const failedCount = failedCriteriaByLevel[level];
-    const status = failedCount > 0 ? 'FAIL' : scanErrorCount > 0 && pagesScanned === 0 ? 'NOT RUN' : 'PASS';
+    const status = failedCount > 0 ? failStatus(level) : scanErrorCount > 0 && pagesScanned === 0 ? 'NOT RUN' : 'PASS';
     return {
       level,
+      advisory: !targetLevels.includes(level),
       status,
       issueCount: issueTotalsByLevel[level] || 0,
       failedCriteriaCount: failedCount,
@@ -92,7 +101,8 @@ function buildAudit({ pages, generatedAt, source, scanStandard }) {
     };
   });
 
-  const overallStatus = failedCriteria.size > 0
+  const failedTargetCriteria = targetLevels.reduce((sum, level) => sum + failedCriteriaByLevel[level], 0);
+  const overallStatus = failedTargetCriteria > 0
     ? 'FAIL'
     : (scanErrorCount > 0 && pagesScanned === 0 ? 'NOT RUN' : 'PASS');
 
@@ -100,8 +110,8 @@ function buildAudit({ pages, generatedAt, source, scanStandard }) {
     generatedAt,
     source,
     target: {
-      standard: AUDIT_STANDARD,
-      level: AUDIT_LEVEL,
+      standard: targetStandardFromLevel(auditLevel),
+      level: auditLevel,
       scanStandard
     },
     pages: {
@@ -113,6 +123,7 @@ function buildAudit({ pages, generatedAt, source, scanStandard }) {
       issues: totalIssues,
       issuesByLevel: issueTotalsByLevel,
       failedCriteria: failedCriteria.size,
+      failedTargetCriteria,
       failedCriteriaByLevel,
       failedRuleCodes: new Set(
         pages.flatMap((page) => (Array.isArray(page.issues) ? page.issues : []).map((issue) => issue.code || 'unknown-code'))
@@ -123,6 +134,8 @@ function buildAudit({ pages, generatedAt, source, scanStandard }) {
     },
     levels: levelCards,
     criteria: rows,
+    viewports: viewportRows(pages, viewports),
+    emulations: emulationRows(pages, emulations),
     unknown: {
       issueCount: issueTotalsByLevel.Unknown || 0,
       codeCount: unknownByCode.size,
@@ -131,24 +144,39 @@ function buildAudit({ pages, generatedAt, source, scanStandard }) {
   };
 }
 
+function statusClass(status) {
+  if (status === 'PASS') return 'pass';
+  if (status === 'FAIL') return 'fail';
+  return status === 'ADVISORY' ? 'advisory' : 'norun';
+}
+
 function writeAuditHtml(reportPath, summary) {
   function criteriaSection(level) {
     const rows = summary.criteria
       .filter((row) => row.level === level)
       .sort((a, b) => a.criterion.localeCompare(b.criterion))
       .map((row) => {
-        const cls = row.status === 'PASS' ? 'pass' : row.status === 'FAIL' ? 'fail' : 'norun';
+        const cls = statusClass(row.status);
         return `<tr><td>${esc(row.criterion)}</td><td><span class="mini ${cls}">${esc(row.status)}</span></td><td>${row.issueCount}</td><td>${row.pageCount}</td><td>${esc(row.sampleMessage || '-')}</td></tr>`;
       })
       .join('');
-    return `<h3>${esc(level)} Guidelines</h3><div class="table"><table><thead><tr><th>SC</th><th>Status</th><th>Issues</th><th>Pages</th><th>Sample</th></tr></thead><tbody>${rows || '<tr><td colspan="5">No criteria.</td></tr>'}</tbody></table></div>`;
+    const heading = summary.levels.find((card) => card.level === level)?.advisory ? `${level} Guidelines (advisory)` : `${level} Guidelines`;
+    return `<h3>${esc(heading)}</h3><div class="table"><table><thead><tr><th>SC</th><th>Status</th><th>Issues</th><th>Pages</th><th>Sample</th></tr></thead><tbody>${rows || '<tr><td colspan="5">No criteria.</td></tr>'}</tbody></table></div>`;
   }
 
   const levelCards = summary.levels.map((level) => {
-    const cls = level.status === 'PASS' ? 'pass' : level.status === 'FAIL' ? 'fail' : 'norun';
+    const cls = statusClass(level.status);
     return `<article class="level-card ${cls}"><h3>${esc(level.level)} (${level.issueCount})</h3><p class="status">${esc(level.status)}</p><p class="meta">Guideline failures: ${level.failedCriteriaCount}</p></article>`;
   }).join('');
 
+  const viewportSection = summary.viewports.length
+    ? `<h2>Viewports</h2><div class="table"><table><thead><tr><th>Viewport</th><th>Size</th><th>Issues</th><th>Pages</th><th>Failed Guidelines</th><th>A / AA / AAA</th></tr></thead><tbody>${summary.viewports.map((row) => `<tr><td>${esc(row.name)}</td><td>${esc(row.size)}</td><td>${row.issueCount}</td><td>${row.pageCount}</td><td>${row.criteriaCount}</td><td>${row.levels.A} / ${row.levels.AA} / ${row.levels.AAA}</td></tr>`).join('')}</tbody></table></div>`
+    : '';
+
+  const emulationSection = summary.emulations.length
+    ? `<h2>Emulation</h2><div class="table"><table><thead><tr><th>Mode</th><th>Media</th><th>Issues</th><th>Only In Mode</th><th>Pages</th><th>Failed Guidelines</th><th>A / AA / AAA</th></tr></thead><tbody>${summary.emulations.map((row) => `<tr><td>${esc(row.name)}</td><td><code>${esc(row.media)}</code></td><td>${row.issueCount}</td><td>${row.onlyCount}</td><td>${row.pageCount}</td><td>${row.criteriaCount}</td><td>${row.levels.A} / ${row.levels.AA} / ${row.levels.AAA}</td></tr>`).join('')}</tbody></table></div>`
+    : '';
+
   const unknownRows = summary.unknown.byCode
     .slice(0, 25)
     .map((row) => `<tr><td><code>${esc(row.code)}</code></td><td>${row.count}</td></tr>`)
@@ -162,24 +190,25 @@ main{max-width:1100px;margin:0 auto;padding:24px 16px 36px}
 h1{margin:0 0 8px;font-size:28px}p{margin:0 0 10px;color:#334155}
 .top{display:flex;flex-wrap:wrap;gap:10px;align-items:center;margin:14px 0 18px}
 .badge{display:inline-block;padding:8px 12px;border-radius:999px;font-weight:700;font-size:13px;border:1px solid}
-.badge.pass{background:#dcfce7;color:#166534;border-color:#86efac}.badge.fail{background:#fee2e2;color:#991b1b;border-color:#fca5a5}.badge.norun{background:#fef3c7;color:#92400e;border-color:#fcd34d}
+.badge.pass{background:#dcfce7;color:#166534;border-color:#86efac}.badge.fail{background:#fee2e2;color:#991b1b;border-color:#fca5a5}.badge.norun{background:#fef3c7;color:#92400e;border-color:#fcd34d}.badge.advisory{background:#e0f2fe;color:#0369a1;border-color:#bae6fd}
 .metrics{display:grid;grid-template-columns:repeat(auto-fit,minmax(170px,1fr));gap:10px;margin-bottom:14px}
 .metric{background:#fff;border:1px solid #e2e8f0;border-radius:10px;padding:10px 12px}.metric .k{font-size:11px;text-transform:uppercase;color:#64748b}.metric .v{font-size:24px;font-weight:700;color:#0f172a}
 .level-grid{display:grid;grid-template-columns:repeat(auto-fit,minmax(210px,1fr));gap:10px;margin:6px 0 18px}
 .level-card{background:#fff;border:1px solid #e2e8f0;border-radius:10px;padding:12px}.level-card h3{margin:0 0 4px}.level-card .status{margin:0 0 4px;font-weight:700}.level-card .meta{margin:0;color:#475569;font-size:14px}
-.level-card.pass{border-color:#86efac}.level-card.fail{border-color:#fca5a5}.level-card.norun{border-color:#fcd34d}
+.level-card.pass{border-color:#86efac}.level-card.fail{border-color:#fca5a5}.level-card.norun{border-color:#fcd34d}.level-card.advisory{border-color:#bae6fd}
 .table{overflow:auto;background:#fff;border:1px solid #e2e8f0;border-radius:10px;margin-top:8px}
 table{width:100%;border-collapse:collapse;min-width:760px}th,td{padding:9px 10px;border-bottom:1px solid #e2e8f0;vertical-align:top}th{text-align:left;background:#f8fafc}
-.mini{display:inline-block;padding:2px 8px;border-radius:999px;font-size:12px;font-weight:700;border:1px solid}.mini.pass{background:#dcfce7;color:#166534;border-color:#86efac}.mini.fail{background:#fee2e2;color:#991b1b;border-color:#fca5a5}.mini.norun{background:#fef3c7;color:#92400e;border-color:#fcd34d}
+.mini{display:inline-block;padding:2px 8px;border-radius:999px;font-size:12px;font-weight:700;border:1px solid}.mini.pass{background:#dcfce7;color:#166534;border-color:#86efac}.mini.fail{background:#fee2e2;color:#991b1b;border-color:#fca5a5}.mini.norun{background:#fef3c7;color:#92400e;border-color:#fcd34d}.mini.advisory{background:#e0f2fe;color:#0369a1;border-color:#bae6fd}
 .note{font-size:13px;color:#475569;margin-top:12px}
 </style></head><body><main>
 <h1>WCAG Compliance Audit</h1>
 <p>Source: <code>${esc(summary.source)}</code> · Generated: ${esc(summary.generatedAt)}</p>
 <p>Target: <strong>${esc(summary.target.standard)}</strong> · Scan Depth: <strong>${esc(summary.target.scanStandard)}</strong></p>
-<div class="top"><span class="badge ${summary.overall.status === 'PASS' ? 'pass' : summary.overall.status === 'FAIL' ? 'fail' : 'norun'}">${esc(summary.target.standard)} ${esc(summary.overall.status)}</span></div>
+<div class="top"><span class="badge ${statusClass(summary.overall.status)}">${esc(summary.target.standard)} ${esc(summary.overall.status)}</span></div>
 <section class="metrics">
 <div class="metric"><div class="k">Total Scan Issues</div><div class="v">${summary.totals.issues}</div></div>
 <div class="metric"><div class="k">Failed Guidelines</div><div class="v">${summary.totals.failedCriteria}</div></div>
+<div class="metric"><div class="k">Failed at ${esc(summary.target.level)}</div><div class="v">${summary.totals.failedTargetCriteria}</div></div>
 <div class="metric"><div class="k">A / AA / AAA</div><div class="v">${summary.totals.issuesByLevel.A} / ${summary.totals.issuesByLevel.AA} / ${summary.totals.issuesByLevel.AAA}</div></div>
 <div class="metric"><div class="k">Pages Scanned</div><div class="v">${summary.pages.scanned}</div></div>
 <div class="metric"><div class="k">Scan Errors</div><div class="v">${summary.pages.scanErrors}</div></div>
@@ -188,13 +217,15 @@ table{width:100%;border-collapse:collapse;min-width:760px}th,td{padding:9px 10px
 <p><strong>Guideline failures:</strong> A (${summary.totals.failedCriteriaByLevel.A}), AA (${summary.totals.failedCriteriaByLevel.AA}), AAA (${summary.totals.failedCriteriaByLevel.AAA})</p>
 <h2>Level Status</h2>
 <section class="level-grid">${levelCards}</section>
+${viewportSection}
+${emulationSection}
 <h2>Criteria Matrix</h2>
 ${criteriaSection('A')}
 ${criteriaSection('AA')}
 ${criteriaSection('AAA')}
 <h2>Unmapped Rules</h2>
 <div class="table"><table><thead><tr><th>Rule</th><th>Count</th></tr></thead><tbody>${unknownRows || '<tr><td colspan="2">No unmapped rules.</td></tr>'}</tbody></table></div>
-<p class="note">Audit uses the same scanner output as scan mode; this view changes presentation only.</p>
+<p class="note">Audit uses the same scanner output as scan mode; this view changes presentation only. Overall status is judged at level ${esc(summary.target.level)}; failures above that level are shown as advisory.</p>
 </main></body></html>`;
 
   fs.writeFileSync(reportPath, html, 'utf8');
@@ -210,7 +241,7 @@ function readIssuesFromJson(absPath) {
 }
 
 export async function runAuditPage(url, cfg, sourceLabel = 'page') {
-  const scanStandard = cfg.scanStandard || cfg.standard || AUDIT_STANDARD;
+  const scanStandard = cfg.scanStandard || cfg.standard || SCAN_STANDARD;
   const runCfg = {
     ...cfg,
     standard: scanStandard,
@@ -226,7 +257,10 @@ export async function runAuditPage(url, cfg, sourceLabel = 'page') {
     pages,
     generatedAt: new Date().toISOString(),
     source: sourceLabel,
-    scanStandard
+    scanStandard,
+    level: cfg.level,
+    viewports: pageResult.viewports,
+    emulations: pageResult.emulations
   });
 
   const auditJsonFile = path.join(pageResult.reportRoot, 'audit.json');
@@ -244,7 +278,7 @@ export async function runAuditPage(url, cfg, sourceLabel = 'page') {
 }
 
 export async function runAuditBatch(urls, cfg, sourceLabel = 'urls.txt') {
-  const scanStandard = cfg.scanStandard || cfg.standard || AUDIT_STANDARD;
+  const scanStandard = cfg.scanStandard || cfg.standard || SCAN_STANDARD;
   const runCfg = {
     ...cfg,
     standard: scanStandard,
@@ -267,7 +301,10 @@ export async function runAuditBatch(urls, cfg, sourceLabel = 'urls.txt') {
     pages,
     generatedAt: new Date().toISOString(),
     source: sourceLabel,
-    scanStandard
+    scanStandard,
+    level: cfg.level,
+    viewports: manifest.viewports || [],
+    emulations: manifest.emulations || []
   });
 
   const auditJsonFile = path.join(batchResult.reportRoot, 'audit.json');
@@ -291,13 +328,17 @@ export async function runAuditFromList(listPath, cfg) {
 }
 
 export async function runAuditFromXml(sitemapUrl, baseUrl, cfg, cwd) {
-  const urls = urlsFromSitemap(sitemapUrl, baseUrl || '');
+  const urls = await withCurlSession(cfg, (curlArgs) => urlsFromSitemap(sitemapUrl, baseUrl || '', curlArgs));
   if (!urls.length) throw new Error(`No URLs discovered from sitemap: ${sitemapUrl}`);
 
-  const urlListDir = path.resolve(cwd, '.a11y-scanner');
-  fs.mkdirSync(urlListDir, { recursive: true });
-  const urlListFile = path.join(urlListDir, `urls-${Date.now()}.txt`);
-  fs.writeFileSync(urlListFile, `${urls.join('\n')}\n`, 'utf8');
+  const urlListFile = writeUrlList(cwd, urls);
+  return runAuditBatch(urls, cfg, path.relative(cwd, urlListFile));
+}
+
+export async function runAuditFromCrawl(startUrl, crawlOptions, cfg, cwd) {
+  const urls = await withCurlSession(cfg, (curlArgs) => urlsFromCrawl(startUrl, crawlOptions, curlArgs));
+  if (!urls.length) throw new Error(`No URLs discovered by crawling: ${startUrl}`);
 
+  const urlListFile = writeUrlList(cwd, urls);
   return runAuditBatch(urls, cfg, path.relative(cwd, urlListFile));
 }
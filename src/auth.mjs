@@ -0,0 +1,161 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { launchBrowser } from './ensure-browser.mjs';
+import { interceptRequests } from './page-helpers.mjs';
+
+function expandEnv(value) {
+  if (typeof value !== 'string') return value;
+  return value.replace(/\$\{([A-Z0-9_]+)\}/gi, (_, name) => process.env[name] ?? '');
+}
+
+function expandAll(input) {
+  if (Array.isArray(input)) return input.map(expandAll);
+  if (input && typeof input === 'object') {
+    return Object.fromEntries(Object.entries(input).map(([key, value]) => [key, expandAll(value)]));
+  }
+  return expandEnv(input);
+}
+
+export function resolveAuth(cfg) {
+  const auth = expandAll(cfg.auth || {});
+  const basic = auth.basic && auth.basic.username ? { username: auth.basic.username, password: auth.basic.password || '' } : null;
+  return {
+    headers: auth.headers && typeof auth.headers === 'object' ? auth.headers : {},
+    basic,
+    cookiesFile: auth.cookiesFile || null,
+    login: auth.login && auth.login.url ? auth.login : null,
+    loginScript: auth.loginScript || null
+  };
+}
+
+function readCookies(cookiesFile, cwd) {
+  const abs = path.resolve(cwd, cookiesFile);
+  let cookies;
+  try {
+    cookies = JSON.parse(fs.readFileSync(abs, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read cookies file ${cookiesFile}: ${error.message}`);
+  }
+  if (!Array.isArray(cookies)) throw new Error(`Cookies file must contain a JSON array: ${cookiesFile}`);
+  return cookies.filter((cookie) => cookie && cookie.name && (cookie.domain || cookie.url));
+}
+
+// Headers only go to the origin of the first page the tab loads, not to CDNs or analytics it pulls in.
+function sendHeaders(page, configured) {
+  const headers = Object.fromEntries(Object.entries(configured).map(([key, value]) => [key.toLowerCase(), String(value)]));
+  const mainFrame = page.mainFrame();
+  let origin = null;
+  return (request) => {
+    if (request.isInterceptResolutionHandled()) return;
+    const target = new URL(request.url()).origin;
+    if (!origin && request.isNavigationRequest() && request.frame() === mainFrame) origin = target;
+    const overrides = request.continueRequestOverrides();
+    if (target !== origin) return request.continue(overrides, 0).catch(() => {});
+    return request.continue({ ...overrides, headers: { ...request.headers(), ...overrides.headers, ...headers } }, 0).catch(() => {});
+  };
+}
+
+export async function applySession(page, session) {
+  if (Object.keys(session.headers).length) await interceptRequests(page, sendHeaders(page, session.headers));
+  if (session.basic) await page.authenticate(session.basic);
+}
+
+async function loginWithForm(page, login, cfg) {
+  const timeout = cfg.timeout;
+  await page.goto(login.url, { waitUntil: 'networkidle2', timeout });
+  await page.waitForSelector(login.usernameSelector, { timeout });
+  await page.type(login.usernameSelector, String(login.username || ''));
+  await page.type(login.passwordSelector, String(login.password || ''));
+
+  const navigation = page.waitForNavigation({ waitUntil: 'networkidle2', timeout }).catch(() => null);
+  if (login.submitSelector) {
+    await page.click(login.submitSelector);
+  } else {
+    await page.keyboard.press('Enter');
+  }
+  await navigation;
+
+  if (login.successSelector) {
+    await page.waitForSelector(login.successSelector, { timeout }).catch(() => {
+      throw new Error(`Login did not reach ${login.successSelector} after submitting ${login.url}`);
+    });
+  }
+}
+
+export async function prepareSession(browser, cfg) {
+  const cwd = cfg.cwd || process.cwd();
+  const session = resolveAuth(cfg);
+  if (!session.cookiesFile && !session.login && !session.loginScript) return session;
+
+  const page = await browser.newPage();
+  try {
+    await applySession(page, session);
+    if (session.cookiesFile) await page.setCookie(...readCookies(session.cookiesFile, cwd));
+    if (session.login) await loginWithForm(page, session.login, cfg);
+    if (session.loginScript) {
+      const mod = await import(pathToFileURL(path.resolve(cwd, session.loginScript)).href);
+      const login = mod.default || mod.login;
+      if (typeof login !== 'function') throw new Error(`Login script must export a default function: ${session.loginScript}`);
+      await login({ browser, page, cfg });
+    }
+  } finally {
+    await page.close().catch(() => {});
+  }
+  return session;
+}
+
+// curl config files take double-quoted values with backslash escapes.
+function curlQuote(value) {
+  return `"${String(value).replace(/[\\"]/g, '\\$&').replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t')}"`;
+}
+
+function netscapeCookieLine(cookie) {
+  const domain = cookie.domain || new URL(cookie.url).hostname;
+  const expires = cookie.expires > 0 ? Math.floor(cookie.expires) : 0;
+  return [
+    `${cookie.httpOnly ? '#HttpOnly_' : ''}${domain}`,
+    domain.startsWith('.') ? 'TRUE' : 'FALSE',
+    cookie.path || '/',
+    cookie.secure ? 'TRUE' : 'FALSE',
+    expires,
+    cookie.name,
+    cookie.value
+  ].join('\t');
+}
+
+// Sitemap and crawl fetches go through curl. Credentials and session cookies are handed over in a
+// private temp directory (config file plus cookie jar) so they never show up on curl's command line.
+export async function withCurlSession(cfg, fetchUrls) {
+  const cwd = cfg.cwd || process.cwd();
+  const session = resolveAuth(cfg);
+  let cookies = session.cookiesFile ? readCookies(session.cookiesFile, cwd) : [];
+  if (session.login || session.loginScript) {
+    const browser = await launchBrowser(path.resolve(cwd, '.cache', 'puppeteer'));
+    try {
+      await prepareSession(browser, cfg);
+      cookies = await browser.cookies();
+    } finally {
+      await browser.close().catch(() => {});
+    }
+  }
+
+  const lines = Object.entries(session.headers).map(([name, value]) => `header = ${curlQuote(`${name}: ${value}`)}`);
+  if (session.basic) lines.push(`user = ${curlQuote(`${session.basic.username}:${session.basic.password}`)}`);
+  if (!lines.length && !cookies.length) return fetchUrls([]);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-curl-'));
+  try {
+    if (cookies.length) {
+      const jarFile = path.join(dir, 'cookies.txt');
+      fs.writeFileSync(jarFile, `# Netscape HTTP Cookie File\n${cookies.map(netscapeCookieLine).join('\n')}\n`, { mode: 0o600 });
+      lines.push(`cookie = ${curlQuote(jarFile)}`);
+    }
+    const configFile = path.join(dir, 'curl.conf');
+    fs.writeFileSync(configFile, `${lines.join('\n')}\n`, { mode: 0o600 });
+    return await fetchUrls(['--config', configFile]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
@@ -1,11 +1,15 @@
-import fs from 'node:fs';
 import path from 'node:path';
 import { loadConfig, writeInitConfig } from './config.mjs';
-import { readUrlList } from './utils.mjs';
+import { readUrlList, writeUrlList } from './utils.mjs';
 import { scanPage } from './scanners/page.mjs';
 import { scanBatch } from './scanners/batch.mjs';
 import { urlsFromSitemap } from './scanners/xml.mjs';
-import { runAuditBatch, runAuditFromList, runAuditFromXml, runAuditPage } from './audit.mjs';
+import { urlsFromCrawl } from './scanners/crawl.mjs';
+import { runAuditBatch, runAuditFromCrawl, runAuditFromList, runAuditFromXml, runAuditPage } from './audit.mjs';
+import { runDiff } from './diff.mjs';
+import { evaluateGate, formatVerdict, resolveFailOn } from './gate.mjs';
+import { normaliseLevel } from './wcag.mjs';
+import { withCurlSession } from './auth.mjs';
 
 function parseArgs(argv) {
   const out = { _: [] };
@@ -34,12 +38,47 @@ function usage() {
     '  wcag-a11y-scanner scan page <url> [--output-dir <dir>]',
     '  wcag-a11y-scanner scan list <urls.txt> [--output-dir <dir>]',
     '  wcag-a11y-scanner scan xml <sitemap.xml> [--base-url <url>] [--output-dir <dir>]',
-    '  wcag-a11y-scanner audit page <url> [--output-dir <dir>]',
-    '  wcag-a11y-scanner audit list <urls.txt> [--output-dir <dir>]',
-    '  wcag-a11y-scanner audit xml <sitemap.xml> [--base-url <url>] [--output-dir <dir>]'
+    '  wcag-a11y-scanner scan crawl <start-url> [crawl options] [--output-dir <dir>]',
+    '  wcag-a11y-scanner scan diff <before> <after> [--output-dir <dir>]',
+    '  wcag-a11y-scanner audit page <url> [--level <A|AA|AAA>] [--output-dir <dir>]',
+    '  wcag-a11y-scanner audit list <urls.txt> [--level <A|AA|AAA>] [--output-dir <dir>]',
+    '  wcag-a11y-scanner audit xml <sitemap.xml> [--base-url <url>] [--level <A|AA|AAA>] [--output-dir <dir>]',
+    '  wcag-a11y-scanner audit crawl <start-url> [crawl options] [--level <A|AA|AAA>] [--output-dir <dir>]',
+    '  wcag-a11y-scanner audit diff <before> <after> [--output-dir <dir>]',
+    '',
+    'CI gating (scan/audit page|list|xml|crawl):',
+    '  --fail-on-level <A|AA|AAA>    fail when issues at or below this level are found',
+    '  --fail-on-type <error,...>    only count these issue types (fails on any when used alone)',
+    '  --max-issues <n>              fail when more than n issues are found',
+    '  --max-failed-criteria <n>     fail when more than n WCAG criteria fail',
+    '  --fail-on-new --baseline <dir> fail when issues are new compared to a baseline report',
+    '  --no-fail-on-audit            do not fail just because the audit verdict is FAIL',
+    '',
+    'Exit codes: 0 pass, 1 threshold violated, 2 scan errors, 3 tool crashed',
+    '',
+    'Scan options (scan/audit):',
+    '  --emulate <mode,...>          rerun each page with dark, forced-colors and/or reduced-motion',
+    '',
+    'Batch options (list|xml):',
+    '  --concurrency <n>             pages scanned in parallel (default 1)',
+    '  --per-host <n>                max parallel pages per host (default: concurrency)',
+    '',
+    'Crawl options:',
+    '  --max-depth <n>               link depth to follow from the start URL (default 3)',
+    '  --max-pages <n>               stop after this many pages (default 100)',
+    '  --include <glob|/regex/>      only scan matching URLs',
+    '  --exclude <glob|/regex/>      skip (and do not follow) matching URLs',
+    '  --query <sort|strip|keep>     query-string normalisation (default sort)'
   ].join('\n');
 }
 
+function finishRun(reportRoot, failOn) {
+  const verdict = evaluateGate(reportRoot, failOn);
+  if (verdict.violations.length) console.log(`Thresholds violated: ${verdict.violations.join('; ')}`);
+  console.log(formatVerdict(verdict));
+  return verdict.exitCode;
+}
+
 export async function runCli(argv) {
   const args = parseArgs(argv);
   const [cmd, sub, target] = args._;
@@ -65,13 +104,36 @@ export async function runCli(argv) {
     }
   }
 
+  if (args.level && !normaliseLevel(args.level)) throw new Error(`Unknown level: ${args.level} (use A, AA or AAA)`);
+  if (args.emulate === true) throw new Error('--emulate needs a comma-separated list of modes');
+
   const cfg = loadConfig(cwd, {
     cwd,
+    level: args.level ? normaliseLevel(args.level) : undefined,
+    concurrency: args.concurrency !== undefined ? Number(args.concurrency) : undefined,
+    perHostConcurrency: args['per-host'] !== undefined ? Number(args['per-host']) : undefined,
     outputDir: args['output-dir'] || undefined,
     includeWarnings: args['include-warnings'] === 'false' ? false : undefined,
-    includeNotices: args['include-notices'] === 'true' ? true : undefined
+    includeNotices: args['include-notices'] === 'true' ? true : undefined,
+    emulations: args.emulate ? args.emulate.split(',').map((mode) => mode.trim()).filter(Boolean) : undefined
   });
 
+  const failOn = sub === 'diff' ? null : resolveFailOn(cfg.failOn, args);
+
+  if (sub === 'diff') {
+    const after = args._[3];
+    if (!after) throw new Error('Diff needs two report folders (or manifest.json/audit.json files): <before> <after>');
+    const result = runDiff(target, after, {
+      ...cfg,
+      diffOutputDir: args['output-dir'] || 'a11y/diffs'
+    });
+    const { totals } = result.diff;
+    console.log(`Diff complete: ${totals.new} new, ${totals.fixed} fixed, ${totals.persisting} persisting issue(s)`);
+    console.log(`Saved diff JSON: ${result.diffJsonFile}`);
+    console.log(`Saved diff HTML: ${result.diffHtmlFile}`);
+    return 0;
+  }
+
   if (sub === 'page') {
     if (cmd === 'audit') {
       const result = await runAuditPage(target, {
@@ -82,7 +144,7 @@ export async function runCli(argv) {
       console.log(`Audit complete: ${result.summary.overall.status} (${result.summary.target.standard})`);
       console.log(`Saved audit JSON: ${result.auditJsonFile}`);
       console.log(`Saved audit HTML: ${result.auditHtmlFile}`);
-      return;
+      return finishRun(result.reportRoot, failOn);
     }
 
     const result = await scanPage(target, cfg);
@@ -93,7 +155,7 @@ export async function runCli(argv) {
     console.log(`Scan complete: ${result.issueCount} issue(s) [error=${errors}, warning=${warnings}, notice=${notices}, unknown=${unknown}]`);
     console.log(`Saved report: ${result.jsonFile}`);
     console.log(`Saved HTML: ${result.htmlFile}`);
-    return;
+    return finishRun(result.reportRoot, failOn);
   }
 
   if (sub === 'list') {
@@ -106,7 +168,7 @@ export async function runCli(argv) {
       console.log(`Audit complete: ${result.summary.overall.status} (${result.summary.target.standard})`);
       console.log(`Saved audit JSON: ${result.auditJsonFile}`);
       console.log(`Saved audit HTML: ${result.auditHtmlFile}`);
-      return;
+      return finishRun(result.reportRoot, failOn);
     }
 
     const urls = readUrlList(path.resolve(target));
@@ -114,7 +176,7 @@ export async function runCli(argv) {
     const result = await scanBatch(urls, cfg, target);
     console.log(`Saved batch reports to: ${result.reportRoot}`);
     console.log(`Saved summary: ${result.summaryFile}`);
-    return;
+    return finishRun(result.reportRoot, failOn);
   }
 
   if (sub === 'xml') {
@@ -132,22 +194,57 @@ export async function runCli(argv) {
       console.log(`Audit complete: ${result.summary.overall.status} (${result.summary.target.standard})`);
       console.log(`Saved audit JSON: ${result.auditJsonFile}`);
       console.log(`Saved audit HTML: ${result.auditHtmlFile}`);
-      return;
+      return finishRun(result.reportRoot, failOn);
     }
 
-    const urls = urlsFromSitemap(target, args['base-url'] || '');
+    const urls = await withCurlSession(cfg, (curlArgs) => urlsFromSitemap(target, args['base-url'] || '', curlArgs));
     if (!urls.length) throw new Error(`No URLs discovered from sitemap: ${target}`);
 
-    const urlListDir = path.resolve(cwd, '.a11y-scanner');
-    fs.mkdirSync(urlListDir, { recursive: true });
-    const urlListFile = path.join(urlListDir, `urls-${Date.now()}.txt`);
-    fs.writeFileSync(urlListFile, `${urls.join('\n')}\n`, 'utf8');
+    const urlListFile = writeUrlList(cwd, urls);
+    const result = await scanBatch(urls, cfg, path.relative(cwd, urlListFile));
+    console.log(`Saved URL list: ${urlListFile}`);
+    console.log(`Saved batch reports to: ${result.reportRoot}`);
+    console.log(`Saved summary: ${result.summaryFile}`);
+    return finishRun(result.reportRoot, failOn);
+  }
+
+  if (sub === 'crawl') {
+    const crawlOptions = {
+      ...(cfg.crawl || {}),
+      ...(args['max-depth'] !== undefined ? { maxDepth: Number(args['max-depth']) } : {}),
+      ...(args['max-pages'] !== undefined ? { maxPages: Number(args['max-pages']) } : {}),
+      ...(args.include ? { include: args.include } : {}),
+      ...(args.exclude ? { exclude: args.exclude } : {}),
+      ...(args.query ? { query: args.query } : {})
+    };
 
+    if (cmd === 'audit') {
+      const result = await runAuditFromCrawl(
+        target,
+        crawlOptions,
+        {
+          ...cfg,
+          scanStandard: args.standard || cfg.standard || 'WCAG2AAA',
+          auditOutputDir: args['output-dir'] || 'a11y/audits'
+        },
+        cwd
+      );
+      console.log(`Audit complete: ${result.summary.overall.status} (${result.summary.target.standard})`);
+      console.log(`Saved audit JSON: ${result.auditJsonFile}`);
+      console.log(`Saved audit HTML: ${result.auditHtmlFile}`);
+      return finishRun(result.reportRoot, failOn);
+    }
+
+    const urls = await withCurlSession(cfg, (curlArgs) => urlsFromCrawl(target, crawlOptions, curlArgs));
+    if (!urls.length) throw new Error(`No URLs discovered by crawling: ${target}`);
+
+    const urlListFile = writeUrlList(cwd, urls);
+    console.log(`Crawl discovered ${urls.length} URL(s)`);
     const result = await scanBatch(urls, cfg, path.relative(cwd, urlListFile));
     console.log(`Saved URL list: ${urlListFile}`);
     console.log(`Saved batch reports to: ${result.reportRoot}`);
     console.log(`Saved summary: ${result.summaryFile}`);
-    return;
+    return finishRun(result.reportRoot, failOn);
   }
 
   if (cmd === 'scan') throw new Error(`Unknown scan mode: ${sub}`);
@@ -5,8 +5,10 @@ export const CONFIG_NAME = '.a11y-scanner.json';
 
 const DEFAULTS = {
   outputDir: 'a11y/reports',
+  level: 'AAA',
   timeout: 120000,
   wait: 1000,
+  concurrency: 1,
   includeWarnings: true,
   includeNotices: false,
   includeAll: false,
@@ -30,10 +32,11 @@ export function loadConfig(cwd, cli = {}) {
   }
 
   const outputDir = cli.outputDir || process.env.A11Y_OUTPUT_DIR || user.outputDir || DEFAULTS.outputDir;
+  const overrides = Object.fromEntries(Object.entries(cli).filter(([, value]) => value !== undefined));
   return {
     ...DEFAULTS,
     ...user,
-    ...cli,
+    ...overrides,
     outputDir,
     configPath
   };
@@ -0,0 +1,250 @@
+import { createIssue, installPageHelpers, loadAccessibilityTree } from './page-helpers.mjs';
+
+const GENERIC_TITLES = ['untitled', 'untitled document', 'document', 'home', 'index', 'page', 'new page', 'title', 'welcome', 'react app', 'vite app', 'loading'];
+const HELP_PATTERNS = [
+  { kind: 'contact', pattern: /\bcontact\b|kontakt/i },
+  { kind: 'help', pattern: /\bhelp\b|\bsupport\b/i },
+  { kind: 'faq', pattern: /\bfaqs?\b|frequently asked/i },
+  { kind: 'chat', pattern: /\bchat\b/i },
+  { kind: 'phone', pattern: /^tel:/i },
+  { kind: 'email', pattern: /^mailto:/i }
+];
+const MAX_PAGES_LISTED = 5;
+
+function extractConsistency(helpPatterns) {
+  const { cssPath, cleanText, isVisible, accessibleName } = window.__a11y;
+  const regions = 'header, footer, nav, aside, [role="banner"], [role="contentinfo"], [role="navigation"], [role="complementary"], [role="search"]';
+  const patterns = helpPatterns.map(({ kind, source }) => ({ kind, pattern: new RegExp(source, 'i') }));
+
+  function target(el) {
+    const href = el.getAttribute('href');
+    if (!href || href.startsWith('javascript:')) return '';
+    if (/^(mailto|tel):/i.test(href)) return href.toLowerCase();
+    try {
+      const url = new URL(href, document.baseURI);
+      return url.origin === location.origin ? url.pathname.replace(/\/+$/, '') || '/' : `${url.origin}${url.pathname}`;
+    } catch {
+      return '';
+    }
+  }
+
+  function regionOf(el) {
+    const region = el.closest(regions);
+    if (!region) return 'main';
+    const role = region.getAttribute('role');
+    if (role) return role;
+    return { header: 'banner', footer: 'contentinfo', nav: 'navigation', aside: 'complementary' }[region.tagName.toLowerCase()];
+  }
+
+  // Unlabelled navigations are matched across pages by where they sit and their position there.
+  const perRegion = new Map();
+  const navigations = Array.from(document.querySelectorAll('nav, [role="navigation"]'))
+    .filter(isVisible)
+    .map((nav) => {
+      const region = nav.parentElement ? regionOf(nav.parentElement) : 'main';
+      perRegion.set(region, (perRegion.get(region) || 0) + 1);
+      return { nav, key: cleanText(nav.getAttribute('aria-label')) || `${region} navigation ${perRegion.get(region)}` };
+    })
+    .map(({ nav, key }) => ({
+      key,
+      selector: cssPath(nav),
+      links: Array.from(nav.querySelectorAll('a[href]')).filter(isVisible).map((a) => ({ name: accessibleName(a), href: target(a) })).filter((link) => link.href)
+    }))
+    .filter((nav) => nav.links.length);
+
+  // Links, buttons and search fields in repeated regions are the components 3.2.4 compares.
+  const components = [];
+  for (const el of document.querySelectorAll('a[href], button, input[type="search"], input[type="submit"], [role="button"], [role="search"] input')) {
+    const region = el.closest(regions);
+    if (!region || !isVisible(el)) continue;
+    const tag = el.tagName.toLowerCase();
+    const form = el.closest('form');
+    const key = tag === 'a'
+      ? target(el)
+      : form ? `form:${form.getAttribute('action') || ''}:${tag}:${el.getAttribute('type') || ''}` : '';
+    if (!key) continue;
+    components.push({ key: `${regionOf(el)}::${key}`, name: accessibleName(el), selector: cssPath(el) });
+  }
+
+  // Help mechanisms in document order; only their relative order and region matter.
+  const help = [];
+  const seenKinds = new Set();
+  for (const el of document.querySelectorAll('a[href], button')) {
+    if (!isVisible(el)) continue;
+    const name = accessibleName(el);
+    const href = el.getAttribute('href') || '';
+    const match = patterns.find(({ pattern }) => pattern.test(href) || pattern.test(name));
+    if (!match || seenKinds.has(match.kind)) continue;
+    seenKinds.add(match.kind);
+    help.push({ kind: match.kind, name, region: regionOf(el), selector: cssPath(el) });
+  }
+
+  return { title: cleanText(document.title), navigations, components, help };
+}
+
+export async function runConsistencyExtract(page) {
+  await installPageHelpers(page);
+  await loadAccessibilityTree(page);
+  const helpPatterns = HELP_PATTERNS.map(({ kind, pattern }) => ({ kind, source: pattern.source }));
+  return page.evaluate(extractConsistency, helpPatterns);
+}
+
+const issue = (data) => createIssue({ runner: 'custom-consistency-audit', ...data });
+
+function listPages(urls) {
+  const shown = urls.slice(0, MAX_PAGES_LISTED).join(', ');
+  return urls.length > MAX_PAGES_LISTED ? `${shown} and ${urls.length - MAX_PAGES_LISTED} more` : shown;
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// Order of the entries of `sequence` that also appear in `reference`.
+function sharedOrder(sequence, reference) {
+  const known = new Set(reference);
+  return sequence.filter((value) => known.has(value));
+}
+
+function navigationIssues(pages, add) {
+  const keys = new Set(pages.flatMap((page) => page.data.navigations.map((nav) => nav.key)));
+  for (const key of keys) {
+    const found = pages.map((page) => ({ page, nav: page.data.navigations.find((nav) => nav.key === key) })).filter((entry) => entry.nav);
+    if (found.length < 2) continue;
+    const orders = found.map(({ nav }) => [...new Set(nav.links.map((link) => link.href))]);
+    const baseline = orders[orders.map((order) => order.join(' ')).indexOf(mostCommon(orders.map((order) => order.join(' '))))];
+    for (const [index, { page, nav }] of found.entries()) {
+      const order = sharedOrder(orders[index], baseline);
+      const expected = sharedOrder(baseline, orders[index]);
+      if (order.join(' ') === expected.join(' ')) continue;
+      const first = order.findIndex((href, i) => href !== expected[i]);
+      add(page, issue({
+        code: 'WCAG2AA.Principle3.Guideline3_2.3_2_3.F66',
+        message: `Navigation "${key}" lists its links in a different order than on other pages.`,
+        context: `Link ${first + 1} is ${order[first]}, expected ${expected[first]}`,
+        selector: nav.selector,
+        criterion: '3.2.3',
+        extras: { navigation: key, order, expected }
+      }));
+    }
+  }
+}
+
+function identificationIssues(pages, add) {
+  const byKey = new Map();
+  for (const page of pages) {
+    for (const component of page.data.components) {
+      if (!byKey.has(component.key)) byKey.set(component.key, []);
+      const list = byKey.get(component.key);
+      if (!list.some((entry) => entry.page === page)) list.push({ page, component });
+    }
+  }
+  for (const [key, entries] of byKey) {
+    if (entries.length < 2) continue;
+    // Counters such as "Cart (3)" change from page to page without changing the function.
+    const names = entries.map(({ component }) => component.name.toLowerCase().replace(/\d+/g, '#'));
+    const usual = mostCommon(names);
+    if (names.every((name) => name === usual)) continue;
+    const usualName = entries[names.indexOf(usual)].component.name;
+    for (const { page, component } of entries) {
+      if (component.name.toLowerCase().replace(/\d+/g, '#') === usual) continue;
+      add(page, issue({
+        code: 'WCAG2AA.Principle3.Guideline3_2.3_2_4.F31',
+        message: 'Component with the same function is named differently than on other pages.',
+        context: `"${component.name || '(no name)'}" here, "${usualName}" on ${names.filter((name) => name === usual).length} other page(s) (${key.split('::')[1]})`,
+        selector: component.selector,
+        criterion: '3.2.4',
+        extras: { component: key, name: component.name, expected: usualName }
+      }));
+    }
+  }
+}
+
+function helpIssues(pages, add) {
+  const withHelp = pages.filter((page) => page.data.help.length);
+  if (withHelp.length < 2) return;
+  const signature = (page) => page.data.help.map((entry) => `${entry.kind}@${entry.region}`);
+  const usual = mostCommon(withHelp.map((page) => signature(page).join(' '))).split(' ');
+  const usualKinds = usual.map((entry) => entry.split('@')[0]);
+  for (const page of withHelp) {
+    const kinds = page.data.help.map((entry) => entry.kind);
+    const order = sharedOrder(kinds, usualKinds);
+    const expected = sharedOrder(usualKinds, kinds);
+    const moved = page.data.help.filter((entry) => {
+      const usualEntry = usual.find((value) => value.startsWith(`${entry.kind}@`));
+      return usualEntry && usualEntry !== `${entry.kind}@${entry.region}`;
+    });
+    for (const entry of moved) {
+      const region = usual.find((value) => value.startsWith(`${entry.kind}@`)).split('@')[1];
+      add(page, issue({
+        code: 'WCAG2A.Principle3.Guideline3_2.3_2_6.G220',
+        message: 'Help mechanism is in a different part of the page than on other pages.',
+        context: `"${entry.name}" (${entry.kind}) is in ${entry.region}, usually in ${region}`,
+        selector: entry.selector,
+        criterion: '3.2.6',
+        extras: { kind: entry.kind, region: entry.region, expected: region }
+      }));
+    }
+    if (!moved.length && order.join(' ') !== expected.join(' ')) {
+      const entry = page.data.help.find((item) => item.kind === order.find((kind, i) => kind !== expected[i]));
+      add(page, issue({
+        code: 'WCAG2A.Principle3.Guideline3_2.3_2_6.G220',
+        message: 'Help mechanisms appear in a different order than on other pages.',
+        context: `Order here: ${order.join(', ')}; usual order: ${expected.join(', ')}`,
+        selector: entry.selector,
+        criterion: '3.2.6',
+        extras: { order, expected }
+      }));
+    }
+  }
+}
+
+function titleIssues(pages, add) {
+  const byTitle = new Map();
+  for (const page of pages) {
+    const title = page.data.title;
+    if (!title) continue;
+    if (GENERIC_TITLES.includes(title.toLowerCase())) {
+      add(page, issue({
+        code: 'WCAG2A.Principle2.Guideline2_4.2_4_2.F25',
+        message: 'Page title is generic and does not describe the page.',
+        context: `<title>${title}</title>`,
+        selector: 'html > head > title',
+        criterion: '2.4.2'
+      }));
+    }
+    const key = title.toLowerCase();
+    if (!byTitle.has(key)) byTitle.set(key, []);
+    byTitle.get(key).push(page);
+  }
+  for (const [, group] of byTitle) {
+    if (group.length < 2) continue;
+    for (const page of group) {
+      const others = [...new Set(group.map((other) => other.url))].filter((url) => url !== page.url);
+      if (!others.length) continue;
+      add(page, issue({
+        code: 'WCAG2A.Principle2.Guideline2_4.2_4_2.F25',
+        type: 'warning',
+        message: 'Page title is shared with other pages, so it does not tell them apart.',
+        context: `"${page.data.title}" is also the title of ${listPages(others)}`,
+        selector: 'html > head > title',
+        criterion: '2.4.2',
+        extras: { duplicates: others.length }
+      }));
+    }
+  }
+}
+
+export function crossPageIssues(pages) {
+  const found = new Map(pages.map((page) => [page.url, []]));
+  const usable = pages.filter((page) => page.data);
+  if (usable.length < 2) return found;
+  const add = (page, item) => found.get(page.url).push(item);
+  navigationIssues(usable, add);
+  identificationIssues(usable, add);
+  helpIssues(usable, add);
+  titleIssues(usable, add);
+  return found;
+}
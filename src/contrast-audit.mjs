@@ -0,0 +1,187 @@
+import { createIssue, installPageHelpers } from './page-helpers.mjs';
+
+const MAX_STATE_TARGETS = 60;
+const STATES = [
+  { name: 'hover', pseudo: ['hover'] },
+  { name: 'focus', pseudo: ['focus', 'focus-visible'] }
+];
+
+function checkComponents() {
+  const {
+    cssPath, cleanText, isVisible, isInteractive, describeNode, focusables, parseColor, blend,
+    contrastRatio, toHex, effectiveBackground, createCollector
+  } = window.__a11y;
+  const { issues, push } = createCollector('custom-contrast-audit');
+  const round = (ratio) => Math.round(ratio * 100) / 100;
+
+  function boundaryColors(el, outer) {
+    const style = window.getComputedStyle(el);
+    const colors = [];
+    for (const side of ['Top', 'Right', 'Bottom', 'Left']) {
+      if (parseFloat(style[`border${side}Width`]) < 1 || ['none', 'hidden'].includes(style[`border${side}Style`])) continue;
+      const color = parseColor(style[`border${side}Color`]);
+      if (color) colors.push(blend(color, outer));
+    }
+    const shadow = style.boxShadow !== 'none' && style.boxShadow.match(/rgba?\([^)]*\)/);
+    if (shadow) {
+      const color = parseColor(shadow[0]);
+      if (color) colors.push(blend(color, outer));
+    }
+    colors.push(effectiveBackground(el));
+    return colors.filter(Boolean);
+  }
+
+  function iconColor(el) {
+    const shape = el.querySelector('svg path, svg circle, svg rect, svg polygon, svg line, svg polyline, svg ellipse');
+    if (shape) {
+      const style = window.getComputedStyle(shape);
+      return parseColor(style.fill !== 'none' ? style.fill : style.stroke);
+    }
+    const before = window.getComputedStyle(el, '::before');
+    if (before.content && !['none', 'normal', '""'].includes(before.content)) return parseColor(before.color);
+    return null;
+  }
+
+  const boundaryTypes = new Set(['text', 'search', 'email', 'url', 'tel', 'password', 'number', 'date', 'datetime-local', 'month', 'time', 'week']);
+
+  for (const el of focusables()) {
+    if (!isVisible(el) || !isInteractive(el)) continue;
+    const tag = el.tagName.toLowerCase();
+    const type = tag === 'input' ? String(el.type || 'text').toLowerCase() : '';
+    const outer = effectiveBackground(el.parentElement);
+    if (!outer) continue;
+
+    const needsBoundary = tag === 'textarea' || tag === 'select' || boundaryTypes.has(type)
+      || (['checkbox', 'radio'].includes(type) && window.getComputedStyle(el).appearance === 'none');
+    if (needsBoundary) {
+      const colors = boundaryColors(el, outer);
+      const best = colors.reduce((top, color) => {
+        const ratio = contrastRatio(color, outer);
+        return !top || ratio > top.ratio ? { color, ratio } : top;
+      }, null);
+      if (best && best.ratio < 3) {
+        push({
+          code: 'WCAG2AA.Principle1.Guideline1_4.1_4_11.G209',
+          type: 'warning',
+          message: 'Form control boundary has less than 3:1 contrast against the adjacent background.',
+          selector: cssPath(el),
+          context: `Element: ${describeNode(el)}; boundary ${toHex(best.color)} on ${toHex(outer)} is ${round(best.ratio)}:1, needs 3:1`,
+          criterion: '1.4.11',
+          extras: { state: 'default', ratio: round(best.ratio), foreground: toHex(best.color), background: toHex(outer), threshold: 3 }
+        });
+      }
+      continue;
+    }
+
+    if (cleanText(el.textContent) || el.querySelector('img')) continue;
+    const icon = iconColor(el);
+    const background = effectiveBackground(el);
+    if (!icon || !background) continue;
+    const foreground = blend(icon, background);
+    const ratio = contrastRatio(foreground, background);
+    if (ratio < 3) {
+      push({
+        code: 'WCAG2AA.Principle1.Guideline1_4.1_4_11.G207',
+        message: 'Icon-only control has less than 3:1 contrast against its background.',
+        selector: cssPath(el),
+        context: `Element: ${describeNode(el)}; icon ${toHex(foreground)} on ${toHex(background)} is ${round(ratio)}:1, needs 3:1`,
+        criterion: '1.4.11',
+        extras: { state: 'default', ratio: round(ratio), foreground: toHex(foreground), background: toHex(background), threshold: 3 }
+      });
+    }
+  }
+
+  return issues;
+}
+
+function tagStateTargets(limit) {
+  const { cleanText, isVisible, isInteractive, focusables } = window.__a11y;
+  const targets = focusables().filter((el) => isVisible(el) && isInteractive(el) && cleanText(el.textContent)).slice(0, limit);
+  targets.forEach((el, index) => el.setAttribute('data-a11y-contrast-id', String(index)));
+  return targets.length;
+}
+
+function measureText(id) {
+  const { cssPath, describeNode, parseColor, blend, contrastRatio, toHex, effectiveBackground } = window.__a11y;
+  const el = document.querySelector(`[data-a11y-contrast-id="${id}"]`);
+  if (!el) return null;
+  const style = window.getComputedStyle(el);
+  const color = parseColor(style.color);
+  const background = effectiveBackground(el);
+  if (!color || !background) return null;
+  const foreground = blend(color, background);
+  const size = parseFloat(style.fontSize);
+  const large = size >= 24 || (size >= 18.66 && Number(style.fontWeight) >= 700);
+  return {
+    selector: cssPath(el),
+    name: describeNode(el),
+    foreground: toHex(foreground),
+    background: toHex(background),
+    ratio: Math.round(contrastRatio(foreground, background) * 100) / 100,
+    large
+  };
+}
+
+function untagStateTargets() {
+  for (const el of document.querySelectorAll('[data-a11y-contrast-id]')) el.removeAttribute('data-a11y-contrast-id');
+}
+
+function stateIssue(state, measured) {
+  const aa = measured.large ? 3 : 4.5;
+  const aaa = measured.large ? 4.5 : 7;
+  if (measured.ratio >= aaa) return null;
+  const enhanced = measured.ratio >= aa;
+  const threshold = enhanced ? aaa : aa;
+  const label = state[0].toUpperCase() + state.slice(1);
+  return createIssue({
+    code: enhanced ? `WCAG2AAA.Principle1.Guideline1_4.1_4_6.G17.${label}` : `WCAG2AA.Principle1.Guideline1_4.1_4_3.G18.${label}`,
+    message: `Text contrast in the :${state} state is below ${threshold}:1.`,
+    context: `Element: ${measured.name}; ${measured.foreground} on ${measured.background} is ${measured.ratio}:1 when ${state === 'hover' ? 'hovered' : 'focused'}`,
+    selector: measured.selector,
+    runner: 'custom-contrast-audit',
+    criterion: enhanced ? '1.4.6' : '1.4.3',
+    extras: {
+      state,
+      ratio: measured.ratio,
+      foreground: measured.foreground,
+      background: measured.background,
+      threshold
+    }
+  });
+}
+
+export async function runContrastAudit(page) {
+  await installPageHelpers(page);
+  await page.mouse.move(0, 0);
+  const issues = await page.evaluate(checkComponents);
+
+  const client = await page.createCDPSession();
+  try {
+    await client.send('DOM.enable');
+    await client.send('CSS.enable');
+    await page.evaluate(tagStateTargets, MAX_STATE_TARGETS);
+    const { root } = await client.send('DOM.getDocument', { depth: 0 });
+    const { nodeIds } = await client.send('DOM.querySelectorAll', { nodeId: root.nodeId, selector: '[data-a11y-contrast-id]' });
+
+    for (const nodeId of nodeIds) {
+      const { attributes } = await client.send('DOM.getAttributes', { nodeId });
+      const id = attributes[attributes.indexOf('data-a11y-contrast-id') + 1];
+      const initial = await page.evaluate(measureText, id);
+      if (!initial) continue;
+
+      for (const state of STATES) {
+        await client.send('CSS.forcePseudoState', { nodeId, forcedPseudoClasses: state.pseudo });
+        const measured = await page.evaluate(measureText, id);
+        if (!measured || (measured.foreground === initial.foreground && measured.background === initial.background)) continue;
+        const found = stateIssue(state.name, measured);
+        if (found) issues.push(found);
+      }
+      await client.send('CSS.forcePseudoState', { nodeId, forcedPseudoClasses: [] });
+    }
+  } finally {
+    await page.evaluate(untagStateTargets).catch(() => {});
+    await client.detach().catch(() => {});
+  }
+
+  return issues;
+}
@@ -0,0 +1,176 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { criterionFromCode, wcagLevel } from './wcag.mjs';
+import { ensureDir, timestampFolder } from './utils.mjs';
+import { writeDiffSummary } from './report-html.mjs';
+
+const REPORT_FILES = new Set(['manifest.json', 'audit.json', 'diff.json']);
+
+function cleanText(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim();
+}
+
+export function issueFingerprint(issue, pageKey) {
+  const parts = [
+    issue.code || 'unknown-code',
+    cleanText(issue.selector),
+    cleanText(issue.context),
+    pageKey || ''
+  ];
+  if (issue.viewport) parts.push(issue.viewport);
+  if (issue.emulation) parts.push(issue.emulation);
+  return createHash('sha1').update(parts.join('\n')).digest('hex').slice(0, 16);
+}
+
+function readJson(absPath) {
+  try {
+    return JSON.parse(fs.readFileSync(absPath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function readIssues(absPath) {
+  const raw = readJson(absPath);
+  return Array.isArray(raw) ? raw : [];
+}
+
+function reportRootFor(input) {
+  const abs = path.resolve(input);
+  if (!fs.existsSync(abs)) throw new Error(`Report not found: ${input}`);
+  return fs.statSync(abs).isDirectory() ? abs : path.dirname(abs);
+}
+
+export function loadReport(input) {
+  const root = reportRootFor(input);
+  const manifest = readJson(path.join(root, 'manifest.json'));
+  const audit = readJson(path.join(root, 'audit.json'));
+
+  let pages;
+  if (manifest && Array.isArray(manifest.results)) {
+    pages = manifest.results.map((result) => ({
+      url: result.url,
+      status: result.status,
+      issues: readIssues(path.join(root, result.jsonFile))
+    }));
+  } else {
+    pages = fs.readdirSync(root)
+      .filter((name) => name.endsWith('.json') && !name.endsWith('.page.json') && !REPORT_FILES.has(name))
+      .sort()
+      .map((name) => {
+        const issues = readIssues(path.join(root, name));
+        const hasRunnerError = issues.some((issue) => issue && issue.code === 'A11Y.RUNNER.ERROR');
+        return { url: name.replace(/\.json$/i, ''), status: hasRunnerError ? 'error' : 'ok', issues };
+      });
+  }
+
+  if (!pages.length) throw new Error(`No page reports found in ${root}`);
+  return { root, manifest, audit, pages };
+}
+
+function indexIssues(page) {
+  const byFingerprint = new Map();
+  for (const issue of page.issues) {
+    const fingerprint = issueFingerprint(issue, page.url);
+    if (!byFingerprint.has(fingerprint)) byFingerprint.set(fingerprint, []);
+    byFingerprint.get(fingerprint).push(issue);
+  }
+  return byFingerprint;
+}
+
+function diffRow(issue, fingerprint) {
+  return {
+    fingerprint,
+    code: issue.code || 'unknown-code',
+    criterion: criterionFromCode(issue.code),
+    level: wcagLevel(issue.code),
+    type: issue.type || 'unknown',
+    message: cleanText(issue.message),
+    selector: issue.selector || ''
+  };
+}
+
+export function diffReports(before, after) {
+  const beforePages = new Map(before.pages.map((page) => [page.url, page]));
+  const afterPages = new Map(after.pages.map((page) => [page.url, page]));
+  const urls = [...new Set([...beforePages.keys(), ...afterPages.keys()])];
+  const criteria = new Map();
+  const totals = { new: 0, fixed: 0, persisting: 0 };
+
+  function countCriterion(row, bucket) {
+    const key = row.criterion || 'Unknown';
+    if (!criteria.has(key)) {
+      criteria.set(key, { criterion: row.criterion, level: row.level, new: 0, fixed: 0, persisting: 0 });
+    }
+    criteria.get(key)[bucket] += 1;
+    totals[bucket] += 1;
+  }
+
+  const pages = urls.map((url) => {
+    const beforePage = beforePages.get(url);
+    const afterPage = afterPages.get(url);
+    const beforeIndex = beforePage ? indexIssues(beforePage) : new Map();
+    const afterIndex = afterPage ? indexIssues(afterPage) : new Map();
+    const out = { url, new: [], fixed: [], persisting: [] };
+
+    for (const [fingerprint, list] of afterIndex) {
+      const previous = (beforeIndex.get(fingerprint) || []).length;
+      list.forEach((issue, i) => {
+        const row = diffRow(issue, fingerprint);
+        const bucket = i < previous ? 'persisting' : 'new';
+        out[bucket].push(row);
+        countCriterion(row, bucket);
+      });
+    }
+
+    for (const [fingerprint, list] of beforeIndex) {
+      const remaining = (afterIndex.get(fingerprint) || []).length;
+      list.slice(remaining).forEach((issue) => {
+        const row = diffRow(issue, fingerprint);
+        out.fixed.push(row);
+        countCriterion(row, 'fixed');
+      });
+    }
+
+    return {
+      ...out,
+      beforeStatus: beforePage ? beforePage.status : 'missing',
+      afterStatus: afterPage ? afterPage.status : 'missing'
+    };
+  });
+
+  const criteriaRows = [...criteria.values()].sort((a, b) => {
+    if (!a.criterion) return 1;
+    if (!b.criterion) return -1;
+    return a.criterion.localeCompare(b.criterion, undefined, { numeric: true });
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    before: {
+      root: before.root,
+      overall: before.audit?.overall?.status || null
+    },
+    after: {
+      root: after.root,
+      overall: after.audit?.overall?.status || null
+    },
+    totals,
+    pages,
+    criteria: criteriaRows
+  };
+}
+
+export function runDiff(beforeInput, afterInput, cfg) {
+  const cwd = cfg.cwd || process.cwd();
+  const diff = diffReports(loadReport(beforeInput), loadReport(afterInput));
+
+  const reportRoot = path.resolve(cwd, cfg.diffOutputDir || 'a11y/diffs', timestampFolder());
+  ensureDir(reportRoot);
+  const diffJsonFile = path.join(reportRoot, 'diff.json');
+  fs.writeFileSync(diffJsonFile, JSON.stringify(diff, null, 2) + '\n', 'utf8');
+  const diffHtmlFile = writeDiffSummary(reportRoot, diff);
+
+  return { reportRoot, diffJsonFile, diffHtmlFile, diff };
+}
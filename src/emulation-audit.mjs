@@ -0,0 +1,86 @@
+import { installPageHelpers } from './page-helpers.mjs';
+
+export const EMULATIONS = {
+  dark: [{ name: 'prefers-color-scheme', value: 'dark' }],
+  'forced-colors': [{ name: 'forced-colors', value: 'active' }],
+  'reduced-motion': [{ name: 'prefers-reduced-motion', value: 'reduce' }]
+};
+
+export function resolveEmulations(cfg) {
+  if (cfg.emulations == null) return [];
+  const modes = Array.isArray(cfg.emulations) ? cfg.emulations : [cfg.emulations];
+  for (const mode of modes) {
+    if (!EMULATIONS[mode]) {
+      throw new Error(`Unknown emulation: ${mode} (use ${Object.keys(EMULATIONS).join(', ')})`);
+    }
+  }
+  return [...new Set(modes)];
+}
+
+export async function applyEmulation(page, mode) {
+  if (mode) await page.emulateMediaFeatures(EMULATIONS[mode]);
+}
+
+function checkForcedColors() {
+  const { cssPath, cleanText, isVisible, isInteractive, describeNode, focusables, createCollector } = window.__a11y;
+  const { issues, push } = createCollector('custom-emulation-audit');
+
+  for (const el of focusables()) {
+    if (!isVisible(el) || !isInteractive(el) || cleanText(el.textContent) || el.querySelector('img, svg')) continue;
+    const style = window.getComputedStyle(el);
+    if (style.forcedColorAdjust === 'none') continue;
+    const masked = (s) => (s.maskImage || s.webkitMaskImage || 'none') !== 'none';
+    const painted = [el, ...el.querySelectorAll('*')].find((node) => {
+      const s = window.getComputedStyle(node);
+      return s.backgroundImage.includes('url(') || masked(s);
+    });
+    if (!painted) continue;
+    const usesMask = masked(window.getComputedStyle(painted));
+    push({
+      code: 'WCAG2AA.Principle1.Guideline1_4.1_4_11.ForcedColors',
+      message: usesMask
+        ? 'Icon drawn with a CSS mask disappears in forced-colors mode because its background colour is overridden.'
+        : 'Icon drawn with a CSS background image has no text or forced-colors fallback and may disappear in forced-colors mode.',
+      selector: cssPath(el),
+      context: `Element: ${describeNode(el)}; icon painted on ${cssPath(painted)}`,
+      criterion: '1.4.11'
+    });
+  }
+
+  return issues;
+}
+
+function checkReducedMotion() {
+  const { cssPath, createCollector } = window.__a11y;
+  const { issues, push } = createCollector('custom-emulation-audit');
+  // Keyframe objects also carry offset, computedOffset, easing and composite, which are not properties.
+  const motion = /^(transform|translate|rotate|scale|left|right|top|bottom|margin|offsetPath|offsetDistance|backgroundPosition)/;
+
+  for (const animation of document.getAnimations()) {
+    if (animation.playState !== 'running' || !animation.effect) continue;
+    const timing = animation.effect.getComputedTiming();
+    const properties = new Set(animation.effect.getKeyframes().flatMap((frame) => Object.keys(frame)));
+    const moving = [...properties].filter((property) => motion.test(property));
+    if (!moving.length) continue;
+
+    const target = animation.effect.target;
+    const pseudo = animation.effect.pseudoElement || '';
+    const kind = animation.constructor.name === 'CSSTransition' ? 'transition' : 'animation';
+    const name = animation.animationName || animation.transitionProperty || animation.id || '';
+    push({
+      code: 'WCAG2AAA.Principle2.Guideline2_3.2_3_3.C39',
+      message: `A ${kind} that moves content keeps running when reduced motion is requested.`,
+      selector: target ? `${cssPath(target)}${pseudo}` : 'html',
+      context: `${kind}${name ? ` "${name}"` : ''} animates ${moving.join(', ')}; ${timing.iterations === Infinity ? 'repeats forever' : `lasts ${Math.round(timing.endTime)}ms`}`,
+      criterion: '2.3.3'
+    });
+  }
+
+  return issues;
+}
+
+export async function runEmulationChecks(page, mode) {
+  if (mode !== 'forced-colors' && mode !== 'reduced-motion') return [];
+  await installPageHelpers(page);
+  return page.evaluate(mode === 'forced-colors' ? checkForcedColors : checkReducedMotion);
+}
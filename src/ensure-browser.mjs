@@ -1,6 +1,14 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import { install, Browser, detectBrowserPlatform, resolveBuildId, computeExecutablePath } from '@puppeteer/browsers';
+import puppeteer from 'puppeteer-core';
+
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-dev-shm-usage',
+  '--allow-insecure-localhost',
+  '--ignore-certificate-errors'
+];
 
 function findChromeExecutable(cacheDir) {
   const chromeRoot = path.join(cacheDir, 'chrome');
@@ -58,3 +66,59 @@ export async function ensureChrome(cacheDir) {
 
   throw new Error('Chrome installation completed, but executable was not found in cache.');
 }
+
+export function systemChromePaths() {
+  const candidates = process.platform === 'darwin'
+    ? [
+        '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+        '/Applications/Google Chrome for Testing.app/Contents/MacOS/Google Chrome for Testing'
+      ]
+    : process.platform === 'win32'
+      ? [
+          'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+          'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe'
+        ]
+      : [
+          '/usr/bin/google-chrome',
+          '/usr/bin/google-chrome-stable',
+          '/usr/bin/chromium-browser',
+          '/usr/bin/chromium'
+        ];
+  return candidates.filter((candidate) => fs.existsSync(candidate));
+}
+
+function chromeCandidates(preferred) {
+  const seen = new Set();
+  const out = [];
+  for (const candidate of [process.env.A11Y_CHROME_PATH, preferred, ...systemChromePaths()]) {
+    if (candidate && !seen.has(candidate)) {
+      seen.add(candidate);
+      out.push(candidate);
+    }
+  }
+  return out;
+}
+
+export async function launchBrowser(cacheDir) {
+  let chromePath = null;
+  try {
+    chromePath = await ensureChrome(cacheDir);
+  } catch {
+    chromePath = null;
+  }
+
+  let launchError;
+  for (const candidate of chromeCandidates(chromePath)) {
+    try {
+      return await puppeteer.launch({
+        executablePath: candidate,
+        args: LAUNCH_ARGS,
+        acceptInsecureCerts: true
+      });
+    } catch (error) {
+      launchError = error;
+    }
+  }
+
+  throw launchError || new Error('Unable to launch Chrome: none installed and no system Chrome found (set A11Y_CHROME_PATH).');
+}
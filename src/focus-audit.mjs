@@ -0,0 +1,194 @@
+import { createIssue, installPageHelpers } from './page-helpers.mjs';
+
+const MAX_FOCUS_TARGETS = 50;
+const CLIP_PADDING = 6;
+const FREEZE_STYLE = '*,*::before,*::after{transition:none!important;animation:none!important;caret-color:transparent!important}';
+
+function prepareFocusAudit(limit, freezeCss) {
+  const { isVisible, tabbables } = window.__a11y;
+  const style = document.createElement('style');
+  style.setAttribute('data-a11y-focus-audit', '');
+  style.textContent = freezeCss;
+  document.head.append(style);
+  if (document.activeElement && document.activeElement !== document.body) document.activeElement.blur();
+
+  window.__a11yFocusTargets = tabbables().filter((el) => el.tagName !== 'IFRAME' && isVisible(el)).slice(0, limit);
+  return window.__a11yFocusTargets.length;
+}
+
+function focusTarget(index, padding) {
+  const { cssPath, describeNode } = window.__a11y;
+  const el = window.__a11yFocusTargets[index];
+  if (!el || !el.isConnected) return null;
+
+  const unfocused = el.getBoundingClientRect();
+  el.focus();
+  if (document.activeElement !== el) return null;
+  const rect = el.getBoundingClientRect();
+
+  // Sample a 5x5 grid over the on-screen part of the element and see what is painted on top.
+  const left = Math.max(rect.left, 0);
+  const right = Math.min(rect.right, window.innerWidth);
+  const top = Math.max(rect.top, 0);
+  const bottom = Math.min(rect.bottom, window.innerHeight);
+  let points = 0;
+  let covered = 0;
+  const coverers = new Set();
+  if (right - left >= 1 && bottom - top >= 1) {
+    for (let i = 0; i < 5; i += 1) {
+      for (let j = 0; j < 5; j += 1) {
+        const x = left + 1 + ((right - left - 2) * i) / 4;
+        const y = top + 1 + ((bottom - top - 2) * j) / 4;
+        const hit = document.elementFromPoint(x, y);
+        points += 1;
+        if (!hit || hit === el || el.contains(hit) || hit.contains(el)) continue;
+        let node = hit;
+        while (node && !['fixed', 'sticky'].includes(window.getComputedStyle(node).position)) node = node.parentElement;
+        if (!node || node.contains(el)) continue;
+        covered += 1;
+        coverers.add(node);
+      }
+    }
+  }
+
+  return {
+    selector: cssPath(el),
+    name: describeNode(el),
+    width: unfocused.width,
+    height: unfocused.height,
+    clip: {
+      x: rect.left + window.scrollX - padding,
+      y: rect.top + window.scrollY - padding,
+      width: rect.width + padding * 2,
+      height: rect.height + padding * 2
+    },
+    onScreen: points > 0,
+    coveredRatio: points ? covered / points : 0,
+    coverers: [...coverers].slice(0, 3).map(cssPath)
+  };
+}
+
+function blurTarget(index) {
+  const el = window.__a11yFocusTargets[index];
+  if (el) el.blur();
+}
+
+async function compareShots(focusedPng, unfocusedPng) {
+  const { luminance } = window.__a11y;
+
+  async function pixels(base64) {
+    const bytes = Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+    const bitmap = await createImageBitmap(new Blob([bytes], { type: 'image/png' }));
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const context = canvas.getContext('2d');
+    context.drawImage(bitmap, 0, 0);
+    return context.getImageData(0, 0, bitmap.width, bitmap.height);
+  }
+
+  const focused = await pixels(focusedPng);
+  const unfocused = await pixels(unfocusedPng);
+  if (focused.width !== unfocused.width || focused.height !== unfocused.height) return null;
+
+  let changed = 0;
+  let contrasting = 0;
+  let maxContrast = 1;
+  for (let i = 0; i < focused.data.length; i += 4) {
+    const a = focused.data;
+    const b = unfocused.data;
+    if (Math.abs(a[i] - b[i]) + Math.abs(a[i + 1] - b[i + 1]) + Math.abs(a[i + 2] - b[i + 2]) < 24) continue;
+    changed += 1;
+    const l1 = luminance(a[i], a[i + 1], a[i + 2]);
+    const l2 = luminance(b[i], b[i + 1], b[i + 2]);
+    const ratio = (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+    if (ratio >= 3) contrasting += 1;
+    if (ratio > maxContrast) maxContrast = ratio;
+  }
+
+  const scale = window.devicePixelRatio * window.devicePixelRatio;
+  return {
+    changedArea: Math.round(changed / scale),
+    contrastingArea: Math.round(contrasting / scale),
+    maxContrast: Math.round(maxContrast * 100) / 100
+  };
+}
+
+function cleanup() {
+  const style = document.querySelector('style[data-a11y-focus-audit]');
+  if (style) style.remove();
+  if (document.activeElement && document.activeElement !== document.body) document.activeElement.blur();
+  delete window.__a11yFocusTargets;
+}
+
+const issue = (data) => createIssue({ runner: 'custom-focus-audit', ...data });
+
+async function screenshot(page, clip) {
+  return page.screenshot({ clip, encoding: 'base64', type: 'png', captureBeyondViewport: false });
+}
+
+export async function runFocusAudit(page) {
+  await installPageHelpers(page);
+  await page.mouse.move(0, 0);
+  // Any key press puts Chrome in keyboard modality so programmatic focus matches :focus-visible.
+  await page.keyboard.press('Shift');
+  const count = await page.evaluate(prepareFocusAudit, MAX_FOCUS_TARGETS, FREEZE_STYLE);
+  const issues = [];
+
+  try {
+    for (let index = 0; index < count; index += 1) {
+      const target = await page.evaluate(focusTarget, index, CLIP_PADDING);
+      if (!target || !target.onScreen) continue;
+
+      const where = `Element: ${target.name}`;
+      if (target.coveredRatio > 0) {
+        const full = target.coveredRatio === 1;
+        issues.push(issue({
+          code: full ? 'WCAG2AA.Principle2.Guideline2_4.2_4_11.C43' : 'WCAG2AAA.Principle2.Guideline2_4.2_4_12.C43',
+          message: full
+            ? 'Focused element is entirely hidden behind fixed or sticky content.'
+            : 'Focused element is partly hidden behind fixed or sticky content.',
+          selector: target.selector,
+          context: `${where}; ${Math.round(target.coveredRatio * 100)}% covered by ${target.coverers.join(', ')}`,
+          criterion: full ? '2.4.11' : '2.4.12',
+          extras: { coveredRatio: Math.round(target.coveredRatio * 100) / 100, coveredBy: target.coverers }
+        }));
+        if (full) {
+          await page.evaluate(blurTarget, index);
+          continue;
+        }
+      }
+
+      const focusedPng = await screenshot(page, target.clip);
+      await page.evaluate(blurTarget, index);
+      const unfocusedPng = await screenshot(page, target.clip);
+      const result = await page.evaluate(compareShots, focusedPng, unfocusedPng);
+      if (!result) continue;
+
+      const perimeter = 2 * (target.width + target.height);
+      const requiredArea = Math.round(perimeter * 2);
+      const extras = { ...result, requiredArea };
+      if (result.changedArea < perimeter * 0.5) {
+        issues.push(issue({
+          code: 'WCAG2AA.Principle2.Guideline2_4.2_4_7.F78',
+          message: 'Element shows no visible focus indicator.',
+          selector: target.selector,
+          context: `${where}; ${result.changedArea} CSS px² changed on focus`,
+          criterion: '2.4.7',
+          extras
+        }));
+      } else if (result.contrastingArea < requiredArea) {
+        issues.push(issue({
+          code: 'WCAG2AAA.Principle2.Guideline2_4.2_4_13.C40',
+          message: 'Focus indicator is smaller than a 2 CSS px perimeter or changes contrast by less than 3:1.',
+          selector: target.selector,
+          context: `${where}; ${result.contrastingArea} of ${requiredArea} CSS px² required change by 3:1 or more (max ${result.maxContrast}:1)`,
+          criterion: '2.4.13',
+          extras
+        }));
+      }
+    }
+  } finally {
+    await page.evaluate(cleanup).catch(() => {});
+  }
+
+  return issues;
+}
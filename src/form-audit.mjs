@@ -0,0 +1,306 @@
+import { installPageHelpers, interceptRequests, sandboxRequests } from './page-helpers.mjs';
+
+const MAX_FORMS = 5;
+const SETTLE_MS = 800;
+
+const AUTOCOMPLETE_FIELDS = [
+  'name', 'honorific-prefix', 'given-name', 'additional-name', 'family-name', 'honorific-suffix', 'nickname',
+  'username', 'new-password', 'current-password', 'one-time-code', 'organization-title', 'organization',
+  'street-address', 'address-line1', 'address-line2', 'address-line3', 'address-level4', 'address-level3',
+  'address-level2', 'address-level1', 'country', 'country-name', 'postal-code', 'cc-name', 'cc-given-name',
+  'cc-additional-name', 'cc-family-name', 'cc-number', 'cc-exp', 'cc-exp-month', 'cc-exp-year', 'cc-csc',
+  'cc-type', 'transaction-currency', 'transaction-amount', 'language', 'bday', 'bday-day', 'bday-month',
+  'bday-year', 'sex', 'url', 'photo', 'tel', 'tel-country-code', 'tel-national', 'tel-area-code', 'tel-local',
+  'tel-local-prefix', 'tel-local-suffix', 'tel-extension', 'email', 'impp'
+];
+
+// Checked in order, so username wins over name and card fields over generic numbers.
+const PERSONAL_FIELDS = [
+  { token: 'username', pattern: 'user.?name|login.?(id|name)' },
+  { token: 'email', pattern: 'e-?mail' },
+  { token: 'tel', pattern: 'phone|mobile|\\btel\\b' },
+  { token: 'cc-number', pattern: 'card.?(number|no)|cc.?num' },
+  { token: 'cc-exp', pattern: 'expir' },
+  { token: 'cc-csc', pattern: '\\b(cvc|cvv|csc)\\b|security code' },
+  { token: 'given-name', pattern: 'first.?name|given.?name|forename' },
+  { token: 'family-name', pattern: 'last.?name|surname|family.?name' },
+  { token: 'name', pattern: 'full.?name|^name$|your name' },
+  { token: 'organization', pattern: 'company|organi[sz]ation' },
+  { token: 'street-address', pattern: 'address|street' },
+  { token: 'address-level2', pattern: '\\b(city|town)\\b' },
+  { token: 'postal-code', pattern: 'post.?code|zip' },
+  { token: 'country-name', pattern: '\\bcountry\\b' },
+  { token: 'bday', pattern: 'birth|\\bdob\\b' }
+];
+
+function checkStaticForms(fields, personal) {
+  const { cssPath, cleanText, isVisible, getLabelTextForControl, describeNode, createCollector } = window.__a11y;
+  const { issues, push } = createCollector('custom-form-audit');
+  const known = new Set(fields);
+  const purposes = personal.map(({ token, pattern }) => ({ token, pattern: new RegExp(pattern, 'i') }));
+  const textTypes = new Set(['', 'text', 'email', 'tel', 'url', 'password', 'number', 'date', 'month']);
+
+  function expectedToken(el) {
+    if (el.type === 'email') return 'email';
+    if (el.type === 'tel') return 'tel';
+    if (el.type === 'password') return null;
+    const hints = [el.name, el.id, getLabelTextForControl(el), el.getAttribute('placeholder')].map(cleanText).filter(Boolean);
+    const match = purposes.find(({ pattern }) => hints.some((value) => pattern.test(value)));
+    return match ? match.token : null;
+  }
+
+  // The last token is the field name; section-*, shipping/billing and home/work/mobile may precede it.
+  function validAutocomplete(value) {
+    const tokens = cleanText(value).toLowerCase().split(' ').filter((token) => token !== 'webauthn');
+    return tokens.length > 0 && known.has(tokens[tokens.length - 1]);
+  }
+
+  const controls = Array.from(document.querySelectorAll('input, select, textarea'))
+    .filter((el) => isVisible(el) && !el.disabled && !el.readOnly && (el.tagName !== 'INPUT' || textTypes.has(String(el.getAttribute('type') || '').toLowerCase())));
+
+  for (const el of controls) {
+    const autocomplete = cleanText(el.getAttribute('autocomplete')).toLowerCase();
+    const formOff = el.form && cleanText(el.form.getAttribute('autocomplete')).toLowerCase() === 'off';
+    const token = expectedToken(el);
+    const where = `Element: ${describeNode(el)}`;
+
+    if (token) {
+      if (!autocomplete || autocomplete === 'off' || autocomplete === 'on' || !validAutocomplete(autocomplete)) {
+        push({
+          code: autocomplete && autocomplete !== 'off' && autocomplete !== 'on'
+            ? 'WCAG2AA.Principle1.Guideline1_3.1_3_5.H98.Invalid'
+            : 'WCAG2AA.Principle1.Guideline1_3.1_3_5.H98',
+          message: autocomplete && autocomplete !== 'off' && autocomplete !== 'on'
+            ? `Field collects personal data but autocomplete="${autocomplete}" is not a valid input purpose.`
+            : `Field collects personal data but does not identify its purpose with autocomplete="${token}".`,
+          selector: cssPath(el),
+          context: `${where}; expected autocomplete="${token}"${formOff && !autocomplete ? ' (form sets autocomplete="off")' : ''}`,
+          criterion: '1.3.5',
+          extras: { autocomplete: autocomplete || null, expected: token }
+        });
+      }
+    }
+
+    if (el.type === 'password') {
+      if (autocomplete === 'off' || (formOff && !autocomplete)) {
+        push({
+          code: 'WCAG2AA.Principle3.Guideline3_3.3_3_8.H100.AutocompleteOff',
+          message: 'Password field turns autocomplete off, which stops password managers from filling it in.',
+          selector: cssPath(el),
+          context: `${where}; use autocomplete="current-password" or "new-password"`,
+          criterion: '3.3.8'
+        });
+      }
+
+      const data = new DataTransfer();
+      data.setData('text/plain', 'a11y-paste-probe');
+      const event = new ClipboardEvent('paste', { clipboardData: data, bubbles: true, cancelable: true });
+      el.dispatchEvent(event);
+      if (event.defaultPrevented) {
+        push({
+          code: 'WCAG2AA.Principle3.Guideline3_3.3_3_8.H100.PasteBlocked',
+          message: 'Password field blocks pasting, so users cannot paste from a password manager.',
+          selector: cssPath(el),
+          context: where,
+          criterion: '3.3.8'
+        });
+      }
+    }
+  }
+
+  // Required fields: compare how their labels look and read against optional fields in the same form.
+  const marker = /\*|required|mandatory|obligatory|pflicht|obligatoire|requis/i;
+  for (const form of document.querySelectorAll('form')) {
+    const fields = controls.filter((el) => el.form === form);
+    const required = fields.filter((el) => el.required || el.getAttribute('aria-required') === 'true');
+    if (!required.length) continue;
+    const labelOf = (el) => (el.labels && el.labels[0]) || el.closest('label');
+    const formExplains = /all fields (are )?required|required fields|\* (indicates|denotes|=)/i.test(cleanText(form.textContent));
+    const optional = fields.filter((el) => !required.includes(el) && labelOf(el));
+    const optionalColor = optional.length ? window.getComputedStyle(labelOf(optional[0])).color : null;
+
+    for (const el of required) {
+      const label = labelOf(el);
+      const pseudo = label ? ['::before', '::after'].map((part) => window.getComputedStyle(label, part).content).join(' ') : '';
+      const visibleText = `${cleanText(label ? label.innerText : el.getAttribute('placeholder'))} ${pseudo}`;
+      if (marker.test(visibleText) || formExplains) continue;
+      const labelStyle = label ? window.getComputedStyle(label) : null;
+      const colorOnly = label && optionalColor && labelStyle.color !== optionalColor;
+      push({
+        code: colorOnly ? 'WCAG2A.Principle1.Guideline1_4.1_4_1.F81' : 'WCAG2A.Principle3.Guideline3_3.3_3_2.H90',
+        type: colorOnly ? 'error' : 'warning',
+        message: colorOnly
+          ? 'Required field is distinguished from optional fields only by colour.'
+          : 'Required field is not marked as required in its visible label.',
+        selector: cssPath(el),
+        context: `Element: ${describeNode(el)}${colorOnly ? `; label colour ${labelStyle.color} vs ${optionalColor}` : ''}`,
+        criterion: colorOnly ? '1.4.1' : '3.3.2'
+      });
+    }
+  }
+
+  return issues;
+}
+
+function prepareSubmitProbe(max) {
+  const { isVisible } = window.__a11y;
+  const forms = Array.from(document.querySelectorAll('form')).filter((form) => {
+    if (!isVisible(form) || form.getAttribute('role') === 'search' || form.closest('[role="search"], search')) return false;
+    const inputs = Array.from(form.elements).filter((el) => ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName) && !['hidden', 'submit', 'button', 'image', 'reset'].includes(el.type) && isVisible(el));
+    return inputs.length >= 2 && form.querySelector('button:not([type="button"]):not([type="reset"]), input[type="submit"], input[type="image"]');
+  }).slice(0, max);
+
+  // Stop every submit from leaving the page; page handlers still run and show their errors.
+  window.__a11yStopSubmit = (event) => event.preventDefault();
+  window.addEventListener('submit', window.__a11yStopSubmit, true);
+  forms.forEach((form, index) => form.setAttribute('data-a11y-form-id', String(index)));
+  return forms.length;
+}
+
+function submitEmpty(id) {
+  const { cleanText, isVisible } = window.__a11y;
+  const form = document.querySelector(`[data-a11y-form-id="${id}"]`);
+  if (!form) return false;
+
+  window.__a11yFormBefore = new Set(Array.from(document.body.querySelectorAll('*')).filter((el) => !el.children.length && cleanText(el.textContent) && isVisible(el)));
+  window.__a11yFormStyles = new Map();
+  for (const el of form.elements) {
+    if (!['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName) || ['hidden', 'submit', 'button', 'image', 'reset'].includes(el.type)) continue;
+    const style = window.getComputedStyle(el);
+    window.__a11yFormStyles.set(el, `${style.borderColor}|${style.backgroundColor}|${style.outlineColor}`);
+    if (['checkbox', 'radio'].includes(el.type)) el.checked = false;
+    else if (el.tagName === 'SELECT') {
+      if (el.options.length && !el.options[0].value) el.selectedIndex = 0;
+    } else el.value = '';
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  const submitter = form.querySelector('button:not([type="button"]):not([type="reset"]), input[type="submit"], input[type="image"]');
+  submitter.click();
+  return true;
+}
+
+function readSubmitOutcome(id) {
+  const { cssPath, cleanText, isVisible, describeNode, createCollector } = window.__a11y;
+  const { issues, push } = createCollector('custom-form-audit');
+  const form = document.querySelector(`[data-a11y-form-id="${id}"]`);
+  if (!form) return issues;
+  const before = window.__a11yFormBefore || new Set();
+  const generic = /^(invalid|error|required|this field is (required|invalid)|please check this field|wrong input|\*|!)\.?$/i;
+
+  const fresh = (el) => !el.children.length && cleanText(el.textContent) && !before.has(el) && isVisible(el);
+  const appeared = Array.from(form.querySelectorAll('*')).filter(fresh);
+  // Error summaries are often rendered above the form in an alert or live region.
+  const appearedOutside = Array.from(document.querySelectorAll('[role="alert"], [aria-live], [class*="error"]'))
+    .filter((el) => !form.contains(el) && [el, ...el.querySelectorAll('*')].some(fresh));
+
+  const referenced = (el) => ['aria-describedby', 'aria-errormessage']
+    .flatMap((attr) => cleanText(el.getAttribute(attr)).split(' ').filter(Boolean))
+    .map((ref) => document.getElementById(ref))
+    .filter((node) => node && cleanText(node.textContent));
+
+  const fields = Array.from(form.elements).filter((el) => ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName) && !['hidden', 'submit', 'button', 'image', 'reset'].includes(el.type));
+  let flagged = 0;
+  for (const el of fields) {
+    const nativeInvalid = !form.noValidate && typeof el.checkValidity === 'function' && !el.checkValidity();
+    const ariaInvalid = el.getAttribute('aria-invalid') === 'true';
+    const style = window.getComputedStyle(el);
+    const restyled = window.__a11yFormStyles && window.__a11yFormStyles.get(el) !== `${style.borderColor}|${style.backgroundColor}|${style.outlineColor}`;
+    if (!nativeInvalid && !ariaInvalid && !restyled) continue;
+    flagged += 1;
+
+    // The browser's own validation bubble names the problem in text and is announced.
+    if (nativeInvalid && !ariaInvalid) continue;
+
+    const container = el.closest('.field, .form-group, .form-field, [class*="field"], p, li, div') || el.parentElement;
+    const nearby = appeared.filter((node) => container && container.contains(node));
+    const linked = referenced(el);
+    const labelChanged = appeared.some((node) => node.closest('label') && el.labels && Array.from(el.labels).includes(node.closest('label')));
+    const where = `Element: ${describeNode(el)}`;
+
+    if (!nearby.length && !linked.length && !labelChanged && !appearedOutside.length) {
+      push({
+        code: ariaInvalid ? 'WCAG2A.Principle3.Guideline3_3.3_3_1.ARIA21' : 'WCAG2A.Principle1.Guideline1_4.1_4_1.F81',
+        message: ariaInvalid
+          ? 'Field is marked aria-invalid after an empty submit but no error text describes the problem.'
+          : 'Field signals an error only by changing colour; no error text is shown.',
+        selector: cssPath(el),
+        context: where,
+        criterion: ariaInvalid ? '3.3.1' : '1.4.1'
+      });
+      continue;
+    }
+
+    if (!linked.length && !labelChanged) {
+      const text = cleanText((nearby[0] || appearedOutside[0]).textContent);
+      push({
+        code: 'WCAG2A.Principle3.Guideline3_3.3_3_1.ARIA19',
+        type: 'warning',
+        message: 'Error text is shown but not associated with the field through aria-describedby, aria-errormessage or its label.',
+        selector: cssPath(el),
+        context: `${where}; error "${text.slice(0, 100)}"`,
+        criterion: '3.3.1'
+      });
+    }
+
+    const message = cleanText((linked[0] || nearby[0] || appearedOutside[0]).textContent);
+    if (generic.test(message)) {
+      push({
+        code: 'WCAG2AA.Principle3.Guideline3_3.3_3_3.G85',
+        type: 'warning',
+        message: 'Error message does not say what is wrong or how to fix it.',
+        selector: cssPath(el),
+        context: `${where}; error "${message.slice(0, 100)}"`,
+        criterion: '3.3.3'
+      });
+    }
+  }
+
+  const required = fields.filter((el) => el.required || el.getAttribute('aria-required') === 'true');
+  if (required.length && !flagged && !appeared.length && !appearedOutside.length) {
+    push({
+      code: 'WCAG2A.Principle3.Guideline3_3.3_3_1.G83',
+      type: 'warning',
+      message: 'Submitting the form with required fields empty showed no error.',
+      selector: cssPath(form),
+      context: `${required.length} required field(s); no field was marked invalid and no message appeared`,
+      criterion: '3.3.1'
+    });
+  }
+
+  return issues;
+}
+
+function finishSubmitProbe() {
+  window.removeEventListener('submit', window.__a11yStopSubmit, true);
+  for (const form of document.querySelectorAll('[data-a11y-form-id]')) form.removeAttribute('data-a11y-form-id');
+  delete window.__a11yStopSubmit;
+  delete window.__a11yFormBefore;
+  delete window.__a11yFormStyles;
+}
+
+export async function runFormAudit(page) {
+  await installPageHelpers(page);
+  const issues = await page.evaluate(checkStaticForms, AUTOCOMPLETE_FIELDS, PERSONAL_FIELDS);
+
+  const count = await page.evaluate(prepareSubmitProbe, MAX_FORMS);
+  if (!count) {
+    await page.evaluate(finishSubmitProbe);
+    return issues;
+  }
+
+  const release = await interceptRequests(page, sandboxRequests(page));
+  try {
+    for (let id = 0; id < count; id += 1) {
+      if (!(await page.evaluate(submitEmpty, id))) continue;
+      await new Promise((resolve) => setTimeout(resolve, SETTLE_MS));
+      issues.push(...(await page.evaluate(readSubmitOutcome, id)));
+    }
+  } finally {
+    await release();
+    await page.evaluate(finishSubmitProbe).catch(() => {});
+  }
+
+  return issues;
+}
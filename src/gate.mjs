@@ -0,0 +1,133 @@
+import { criterionFromCode, levelsUpTo, normaliseLevel, wcagLevel } from './wcag.mjs';
+import { issueFingerprint, loadReport } from './diff.mjs';
+
+export const EXIT_CODES = {
+  pass: 0,
+  threshold: 1,
+  scanErrors: 2,
+  crashed: 3
+};
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map((v) => String(v).trim().toLowerCase()).filter(Boolean);
+  return String(value || '').split(',').map((v) => v.trim().toLowerCase()).filter(Boolean);
+}
+
+function toCount(value, flag) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const n = typeof value === 'boolean' ? NaN : Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`${flag} must be a whole number, got: ${value}`);
+  return n;
+}
+
+export function resolveFailOn(configured = {}, args = {}) {
+  const failOn = { ...(configured || {}) };
+  if (args['fail-on-level']) failOn.level = args['fail-on-level'];
+  if (args['fail-on-type']) failOn.types = args['fail-on-type'];
+  if (args['max-issues'] !== undefined) failOn.maxIssues = args['max-issues'];
+  if (args['max-failed-criteria'] !== undefined) failOn.maxFailedCriteria = args['max-failed-criteria'];
+  if (args['fail-on-new']) failOn.newIssues = true;
+  if (args.baseline) failOn.baseline = args.baseline;
+  if (args['no-fail-on-audit']) failOn.audit = false;
+
+  const level = failOn.level ? normaliseLevel(failOn.level) : undefined;
+  if (failOn.level && !level) throw new Error(`Unknown fail-on level: ${failOn.level} (use A, AA or AAA)`);
+  if (failOn.newIssues && !failOn.baseline) throw new Error('Failing on new issues needs a baseline report (--baseline <dir>).');
+  if (failOn.audit !== undefined && typeof failOn.audit !== 'boolean') throw new Error(`failOn.audit must be true or false, got: ${failOn.audit}`);
+
+  return {
+    level,
+    types: toList(failOn.types),
+    maxIssues: toCount(failOn.maxIssues, 'max-issues'),
+    maxFailedCriteria: toCount(failOn.maxFailedCriteria, 'max-failed-criteria'),
+    newIssues: Boolean(failOn.newIssues),
+    baseline: failOn.baseline || undefined,
+    audit: failOn.audit !== false
+  };
+}
+
+function isGated(failOn) {
+  return Boolean(
+    failOn.level ||
+    failOn.types.length ||
+    failOn.maxIssues !== undefined ||
+    failOn.maxFailedCriteria !== undefined ||
+    failOn.newIssues
+  );
+}
+
+function countedIssues(page, failOn) {
+  const issues = Array.isArray(page.issues) ? page.issues : [];
+  return issues.filter((issue) => {
+    if (!issue || issue.code === 'A11Y.RUNNER.ERROR') return false;
+    return !failOn.types.length || failOn.types.includes(String(issue.type || 'unknown').toLowerCase());
+  });
+}
+
+export function evaluateGate(reportRoot, failOn) {
+  const report = loadReport(reportRoot);
+  const audit = report.audit?.overall?.status || null;
+  const gated = isGated(failOn) || (failOn.audit && audit !== null);
+  const violations = [];
+
+  // An audit FAIL is a threshold of its own unless turned off with failOn.audit: false.
+  if (failOn.audit && audit === 'FAIL') violations.push('audit: FAIL');
+
+  const counted = report.pages.flatMap((page) => countedIssues(page, failOn).map((issue) => ({ issue, url: page.url })));
+  const failedCriteria = new Set(counted.map(({ issue }) => criterionFromCode(issue.code)).filter(Boolean));
+  const scanErrors = report.pages.filter((page) => page.status !== 'ok').length;
+
+  if (failOn.level) {
+    const allowed = levelsUpTo(failOn.level);
+    const atLevel = counted.filter(({ issue }) => allowed.includes(wcagLevel(issue.code))).length;
+    if (atLevel > 0) violations.push(`level ${failOn.level}: ${atLevel} issue(s)`);
+  }
+
+  const typeOnly = !failOn.level && failOn.maxIssues === undefined && failOn.maxFailedCriteria === undefined && !failOn.newIssues;
+  if (failOn.types.length && typeOnly && counted.length > 0) {
+    violations.push(`type ${failOn.types.join('/')}: ${counted.length} issue(s)`);
+  }
+
+  if (failOn.maxIssues !== undefined && counted.length > failOn.maxIssues) {
+    violations.push(`issues: ${counted.length} > ${failOn.maxIssues}`);
+  }
+
+  if (failOn.maxFailedCriteria !== undefined && failedCriteria.size > failOn.maxFailedCriteria) {
+    violations.push(`failed criteria: ${failedCriteria.size} > ${failOn.maxFailedCriteria}`);
+  }
+
+  let newIssues = null;
+  if (failOn.newIssues) {
+    const baseline = loadReport(failOn.baseline);
+    const known = new Set(baseline.pages.flatMap((page) => countedIssues(page, failOn).map((issue) => issueFingerprint(issue, page.url))));
+    newIssues = counted.filter(({ issue, url }) => !known.has(issueFingerprint(issue, url))).length;
+    if (newIssues > 0) violations.push(`new issues vs baseline: ${newIssues}`);
+  }
+
+  let status = 'pass';
+  let exitCode = EXIT_CODES.pass;
+  if (violations.length) {
+    status = 'fail';
+    exitCode = EXIT_CODES.threshold;
+  } else if (scanErrors > 0) {
+    status = 'error';
+    exitCode = EXIT_CODES.scanErrors;
+  }
+
+  return {
+    status,
+    exitCode,
+    gated,
+    audit,
+    issues: counted.length,
+    failedCriteria: failedCriteria.size,
+    newIssues,
+    scanErrors,
+    violations,
+    reportRoot: report.root
+  };
+}
+
+export function formatVerdict(verdict) {
+  return `A11Y_VERDICT ${JSON.stringify(verdict)}`;
+}
@@ -0,0 +1,197 @@
+import { installPageHelpers, loadAccessibilityTree } from './page-helpers.mjs';
+
+const PLACEHOLDER_ALTS = [
+  'image', 'img', 'photo', 'picture', 'pic', 'graphic', 'icon', 'spacer', 'placeholder', 'untitled', 'alt', 'alt text',
+  'image description', 'bild', 'foto', 'imagen', 'afbeelding'
+];
+const LONG_ALT = 150;
+const DECORATIVE_MAX = { width: 200, height: 150 };
+const MAX_PER_CODE = 25;
+
+function checkImages(placeholders, longAlt, decorativeMax, max) {
+  const { cssPath, cleanText, isVisible, accessibleName, getLabelledByText, describeNode, createCollector } = window.__a11y;
+  const { issues, push } = createCollector('custom-image-audit', { maxPerCode: max });
+
+  const normalise = (text) => cleanText(text).toLowerCase().replace(/[\p{P}\p{S}]+/gu, ' ').replace(/\s+/g, ' ').trim();
+  const fileExtension = /\.(jpe?g|png|gif|webp|avif|svg|bmp|tiff?|heic)$/i;
+  const cameraName = /^(img|dsc|dscn|dscf|pxl|gopr|screenshot|screen shot|image|photo|capture)[-_ ]?\d{2,}/i;
+  const redundantPrefix = /^(an? )?(image|photo|picture|graphic|photograph|pic) of\b/i;
+  const isDecorative = (el) => el.getAttribute('alt') === '' || ['presentation', 'none'].includes(cleanText(el.getAttribute('role')).toLowerCase());
+  const hidden = (el) => Boolean(el.closest('[aria-hidden="true"]'));
+
+  function fileStem(el) {
+    const src = el.currentSrc || el.getAttribute('src') || '';
+    let file = src.split(/[?#]/)[0].split('/').pop() || '';
+    try {
+      file = decodeURIComponent(file);
+    } catch {
+      // Keep the raw name.
+    }
+    return file.replace(fileExtension, '').toLowerCase();
+  }
+
+  const byAlt = new Map();
+  for (const img of document.querySelectorAll('img, input[type="image"], [role="img"]:not(svg)')) {
+    if (!isVisible(img) || hidden(img)) continue;
+    const selector = cssPath(img);
+    const rect = img.getBoundingClientRect();
+
+    if (img.tagName === 'IMG' && isDecorative(img)) {
+      const figure = img.closest('figure');
+      const captioned = figure && figure.querySelector('figcaption') && figure.querySelectorAll('img').length === 1;
+      if (captioned || (rect.width >= decorativeMax.width && rect.height >= decorativeMax.height)) {
+        push({
+          code: 'WCAG2A.Principle1.Guideline1_1.1_1_1.H67.Informative',
+          type: 'warning',
+          message: captioned
+            ? 'Image has a caption but is marked decorative, so screen readers skip it.'
+            : 'Large image is marked decorative; check that it carries no information.',
+          selector,
+          context: `Image: ${(img.currentSrc || img.getAttribute('src') || '').slice(0, 120)} (${Math.round(rect.width)}x${Math.round(rect.height)})`,
+          criterion: '1.1.1'
+        });
+      }
+      continue;
+    }
+
+    const alt = accessibleName(img);
+    if (!alt) continue;
+    const text = normalise(alt);
+    const stem = fileStem(img);
+
+    if (fileExtension.test(alt.trim()) || cameraName.test(alt.trim()) || (stem.length > 3 && /[-_]/.test(stem) && alt.trim().toLowerCase() === stem)) {
+      push({
+        code: 'WCAG2A.Principle1.Guideline1_1.1_1_1.F30.Filename',
+        message: 'Text alternative is a file name.',
+        selector,
+        context: `Alt: "${alt.slice(0, 80)}"`,
+        criterion: '1.1.1'
+      });
+    } else if (placeholders.includes(text)) {
+      push({
+        code: 'WCAG2A.Principle1.Guideline1_1.1_1_1.F30.Placeholder',
+        message: 'Text alternative is a placeholder word that does not describe the image.',
+        selector,
+        context: `Alt: "${alt.slice(0, 80)}"`,
+        criterion: '1.1.1'
+      });
+    } else if (redundantPrefix.test(alt.trim())) {
+      push({
+        code: 'WCAG2A.Principle1.Guideline1_1.1_1_1.H37.RedundantPrefix',
+        type: 'warning',
+        message: 'Text alternative starts with "image of" or similar; screen readers already announce it as an image.',
+        selector,
+        context: `Alt: "${alt.slice(0, 80)}"`,
+        criterion: '1.1.1'
+      });
+    }
+
+    if (alt.length > longAlt) {
+      push({
+        code: 'WCAG2A.Principle1.Guideline1_1.1_1_1.G92.Long',
+        type: 'warning',
+        message: `Text alternative is longer than ${longAlt} characters; move long descriptions into the page or a linked description.`,
+        selector,
+        context: `Alt (${alt.length} characters): "${alt.slice(0, 80)}..."`,
+        criterion: '1.1.1'
+      });
+    }
+
+    // Screen readers read both the image and the text next to it.
+    const link = img.closest('a[href]');
+    const figure = img.closest('figure');
+    const caption = figure && figure.querySelector('figcaption');
+    const siblingLink = link && [link.previousElementSibling, link.nextElementSibling]
+      .find((node) => node && node.matches('a[href]') && node.getAttribute('href') === link.getAttribute('href'));
+    const repeats = [
+      link && { what: 'the link text', value: link.textContent },
+      siblingLink && { what: 'the adjacent link to the same page', value: siblingLink.textContent },
+      caption && { what: 'the caption', value: caption.textContent }
+    ].find((entry) => entry && normalise(entry.value) === text);
+    if (repeats) {
+      push({
+        code: 'WCAG2A.Principle1.Guideline1_1.1_1_1.H2',
+        type: 'warning',
+        message: `Text alternative repeats ${repeats.what}, so it is read twice.`,
+        selector,
+        context: `Alt: "${alt.slice(0, 80)}"`,
+        criterion: '1.1.1'
+      });
+    }
+
+    const src = img.currentSrc || img.getAttribute('src') || img.getAttribute('style') || selector;
+    if (!byAlt.has(text)) byAlt.set(text, new Map());
+    byAlt.get(text).set(src, { selector, alt });
+  }
+
+  for (const [, images] of byAlt) {
+    if (images.size < 2) continue;
+    const [first, ...others] = [...images.values()];
+    push({
+      code: 'WCAG2A.Principle1.Guideline1_1.1_1_1.G94.Duplicate',
+      type: 'warning',
+      message: `${images.size} different images share the same text alternative.`,
+      selector: first.selector,
+      context: `Alt: "${first.alt.slice(0, 80)}"; also on ${others.slice(0, 3).map((entry) => entry.selector).join(', ')}`,
+      criterion: '1.1.1',
+      extras: { images: images.size }
+    });
+  }
+
+  for (const svg of document.querySelectorAll('svg')) {
+    if (svg.parentElement && svg.parentElement.closest('svg')) continue;
+    if (!isVisible(svg) || hidden(svg) || isDecorative(svg)) continue;
+    const rect = svg.getBoundingClientRect();
+    if (rect.width < 12 || rect.height < 12) continue;
+    const control = svg.closest('a[href], button, [role="button"], [role="link"]');
+    // An icon in a control that is already named is decoration; it only needs aria-hidden.
+    if (control && !cleanText(svg.textContent) && accessibleName(control)) continue;
+    const title = svg.querySelector(':scope > title');
+    const name = cleanText(svg.getAttribute('aria-label')) || getLabelledByText(svg) || cleanText(title && title.textContent);
+    const role = cleanText(svg.getAttribute('role')).toLowerCase();
+    if (!name) {
+      push({
+        code: 'WCAG2A.Principle1.Guideline1_1.1_1_1.SVG.Name',
+        type: control ? 'error' : 'warning',
+        message: control
+          ? 'SVG is the only content of a link or button and has no title or aria-label.'
+          : 'SVG has no title or aria-label; give it a name or hide it with aria-hidden="true".',
+        selector: cssPath(svg),
+        context: `Element: ${describeNode(control || svg)}`,
+        criterion: '1.1.1'
+      });
+    } else if (role !== 'img' && !control) {
+      push({
+        code: 'WCAG2A.Principle1.Guideline1_1.1_1_1.SVG.Role',
+        type: 'warning',
+        message: 'Named SVG has no role="img", so some screen readers skip it or read its parts.',
+        selector: cssPath(svg),
+        context: `SVG name: "${name.slice(0, 80)}"`,
+        criterion: '1.1.1'
+      });
+    }
+  }
+
+  // Icon links and buttons drawn with a CSS background have nothing for assistive technology to read.
+  for (const control of document.querySelectorAll('a[href], button, [role="button"], [role="link"], input[type="submit"], input[type="button"]')) {
+    if (!isVisible(control) || hidden(control) || accessibleName(control) || cleanText(control.innerText)) continue;
+    const drawn = [control, ...control.querySelectorAll('*')]
+      .find((el) => /url\(/.test(window.getComputedStyle(el).backgroundImage));
+    if (!drawn || control.querySelector('img, svg')) continue;
+    push({
+      code: 'WCAG2A.Principle1.Guideline1_1.1_1_1.F3',
+      message: 'Link or button shows only a CSS background image and has no text alternative.',
+      selector: cssPath(control),
+      context: `Element: ${describeNode(control)}; background on ${cssPath(drawn)}`,
+      criterion: '1.1.1'
+    });
+  }
+
+  return issues;
+}
+
+export async function runImageAudit(page) {
+  await installPageHelpers(page);
+  await loadAccessibilityTree(page);
+  return page.evaluate(checkImages, PLACEHOLDER_ALTS, LONG_ALT, DECORATIVE_MAX, MAX_PER_CODE);
+}
@@ -0,0 +1,290 @@
+import { createIssue, installPageHelpers, interceptRequests, sandboxRequests } from './page-helpers.mjs';
+
+const MAX_TRIGGERS = 20;
+const REVEAL_MS = 400;
+const PERSIST_MS = 1500;
+const SETTLE_MS = 300;
+const KEY_SETTLE_MS = 120;
+const SHORTCUT_KEYS = [...'abcdefghijklmnopqrstuvwxyz0123456789', '?', '/', '.', ',', '[', ']', '-', '=', '+'];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const issue = (data) => createIssue({ runner: 'custom-interaction-audit', ...data });
+
+// Elements likely to show extra content on hover or focus: tooltips, popup buttons, menu items with
+// submenus, and anything with a pointer-enter or focus handler.
+function markHoverTriggers(max) {
+  const { isVisible, hasHandler } = window.__a11y;
+  const handlerEvents = new Set(['mouseenter', 'mouseover', 'pointerenter', 'pointerover', 'focus', 'focusin']);
+  const selector = [
+    '[aria-describedby]', '[aria-haspopup]:not([aria-haspopup="false"])', '[aria-expanded]', '[data-tooltip]',
+    '[data-tippy-content]', '[data-toggle="tooltip"]', '[data-bs-toggle="tooltip"]', '[data-bs-toggle="popover"]',
+    'nav li:has(> ul)', 'nav li:has(> div)', '[role="menubar"] [role="menuitem"]'
+  ].join(', ');
+  const candidates = new Set(document.querySelectorAll(selector));
+  for (const el of document.body.querySelectorAll('*')) {
+    if (hasHandler(el, handlerEvents, 'on')) candidates.add(el);
+  }
+  const triggers = Array.from(candidates)
+    .filter((el) => isVisible(el) && el !== document.body && !el.closest('[aria-hidden="true"], [inert]'))
+    .slice(0, max);
+  triggers.forEach((el, index) => el.setAttribute('data-a11y-hover-id', String(index)));
+  return triggers.map((el) => el.tabIndex >= 0 && !el.disabled);
+}
+
+function isShown(el) {
+  const rect = el.getBoundingClientRect();
+  return el.checkVisibility({ opacityProperty: true, visibilityProperty: true })
+    && rect.width > 1 && rect.height > 1 && rect.right > 0 && rect.bottom > 0;
+}
+
+function snapshotShown() {
+  window.__a11yShownBefore = new WeakSet(Array.from(document.body.querySelectorAll('*')).filter(window.__a11yIsShown));
+}
+
+function focusTrigger(id) {
+  const el = document.querySelector(`[data-a11y-hover-id="${id}"]`);
+  if (el) el.focus();
+}
+
+// The largest block of content that became visible since the snapshot, marked for the later checks.
+function findRevealed(id) {
+  const { cssPath, cleanText, describeNode } = window.__a11y;
+  const trigger = document.querySelector(`[data-a11y-hover-id="${id}"]`);
+  const before = window.__a11yShownBefore;
+  if (!trigger || !before) return null;
+  const fresh = Array.from(document.body.querySelectorAll('*'))
+    .filter((el) => !before.has(el) && !el.contains(trigger) && window.__a11yIsShown(el));
+  const freshSet = new Set(fresh);
+  const roots = fresh
+    .filter((el) => !freshSet.has(el.parentElement))
+    .filter((el) => cleanText(el.textContent) || el.querySelector('img, svg'));
+  if (!roots.length) return null;
+  const area = (el) => {
+    const rect = el.getBoundingClientRect();
+    return rect.width * rect.height;
+  };
+  const revealed = roots.sort((a, b) => area(b) - area(a))[0];
+  revealed.setAttribute('data-a11y-revealed', '');
+  const rect = revealed.getBoundingClientRect();
+  return {
+    trigger: { selector: cssPath(trigger), name: describeNode(trigger) },
+    content: { selector: cssPath(revealed), text: cleanText(revealed.textContent).slice(0, 80) },
+    point: {
+      x: Math.round(Math.min(Math.max(rect.left + rect.width / 2, 1), window.innerWidth - 1)),
+      y: Math.round(Math.min(Math.max(rect.top + Math.min(rect.height / 2, 20), 1), window.innerHeight - 1))
+    },
+    onScreen: rect.top < window.innerHeight && rect.left < window.innerWidth
+  };
+}
+
+function revealedStillShown() {
+  const el = document.querySelector('[data-a11y-revealed]');
+  return Boolean(el && el.isConnected && window.__a11yIsShown(el));
+}
+
+function clearRevealed() {
+  for (const el of document.querySelectorAll('[data-a11y-revealed]')) el.removeAttribute('data-a11y-revealed');
+  if (document.activeElement && document.activeElement !== document.body) document.activeElement.blur();
+  delete window.__a11yShownBefore;
+}
+
+function finishHoverProbe() {
+  for (const el of document.querySelectorAll('[data-a11y-hover-id]')) el.removeAttribute('data-a11y-hover-id');
+  delete window.__a11yIsShown;
+}
+
+async function resetPointer(page) {
+  await page.mouse.move(0, 0);
+  await page.evaluate(clearRevealed);
+  await sleep(SETTLE_MS);
+}
+
+async function reveal(page, id, trigger, how) {
+  await page.evaluate(snapshotShown);
+  if (how === 'hover') await trigger.hover();
+  else await page.evaluate(focusTrigger, id);
+  await sleep(REVEAL_MS);
+  return page.evaluate(findRevealed, id);
+}
+
+async function probeTrigger(page, id, focusable) {
+  const trigger = await page.$(`[data-a11y-hover-id="${id}"]`);
+  if (!trigger) return [];
+  let how = 'hover';
+  let found = await reveal(page, id, trigger, how).catch(() => null);
+  if (!found && focusable) {
+    await resetPointer(page);
+    how = 'focus';
+    found = await reveal(page, id, trigger, how);
+  }
+  if (!found) return [];
+
+  const issues = [];
+  const context = `${how === 'hover' ? 'Hovering' : 'Focusing'} ${found.trigger.name} shows "${found.content.text}" (${found.content.selector})`;
+  const base = { selector: found.trigger.selector, criterion: '1.4.13', extras: { trigger: how, content: found.content.selector } };
+
+  await sleep(PERSIST_MS);
+  if (!(await page.evaluate(revealedStillShown))) {
+    issues.push(issue({
+      ...base,
+      code: 'WCAG2AA.Principle1.Guideline1_4.1_4_13.SCR39.Persistent',
+      message: `Content shown on ${how} disappears on its own while the ${how === 'hover' ? 'pointer stays on' : 'focus stays on'} the trigger.`,
+      context
+    }));
+    return issues;
+  }
+
+  if (how === 'hover' && found.onScreen) {
+    await page.mouse.move(found.point.x, found.point.y, { steps: 8 });
+    await sleep(SETTLE_MS);
+    if (!(await page.evaluate(revealedStillShown))) {
+      issues.push(issue({
+        ...base,
+        code: 'WCAG2AA.Principle1.Guideline1_4.1_4_13.F95',
+        message: 'Content shown on hover disappears when the pointer moves onto it.',
+        context
+      }));
+      return issues;
+    }
+  }
+
+  await page.keyboard.press('Escape');
+  await sleep(SETTLE_MS);
+  if (await page.evaluate(revealedStillShown)) {
+    issues.push(issue({
+      ...base,
+      code: 'WCAG2AA.Principle1.Guideline1_4.1_4_13.SCR39.Dismissible',
+      message: `Content shown on ${how} cannot be dismissed with Escape without moving the ${how === 'hover' ? 'pointer' : 'focus'}.`,
+      context
+    }));
+  }
+  return issues;
+}
+
+function hasKeyListeners() {
+  const keyEvents = new Set(['keydown', 'keypress', 'keyup']);
+  return [window, document, document.documentElement, document.body].some((target) => target && (
+    (Array.isArray(target.__a11yListenerTypes) && target.__a11yListenerTypes.some((type) => keyEvents.has(type)))
+    || [...keyEvents].some((type) => typeof target[`on${type}`] === 'function')
+  ));
+}
+
+function prepareShortcutProbe() {
+  if (document.activeElement && document.activeElement !== document.body) document.activeElement.blur();
+  const state = { mutations: 0, prevented: false };
+  const observer = new MutationObserver((records) => {
+    state.mutations += records.length;
+  });
+  observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+  // Added last, so it sees whether the page's own window and document listeners cancelled the key.
+  const watch = (event) => {
+    if (event.defaultPrevented) state.prevented = true;
+  };
+  window.addEventListener('keydown', watch);
+  window.addEventListener('keypress', watch);
+  window.__a11yShortcuts = { state, observer, watch };
+}
+
+function readShortcutState() {
+  const { state } = window.__a11yShortcuts;
+  const active = document.activeElement;
+  const snapshot = {
+    mutations: state.mutations,
+    prevented: state.prevented,
+    focus: active && active !== document.body ? window.__a11y.cssPath(active) : null,
+    scroll: `${Math.round(window.scrollX)},${Math.round(window.scrollY)}`,
+    url: location.href
+  };
+  state.mutations = 0;
+  state.prevented = false;
+  return snapshot;
+}
+
+function pressCharacter(key) {
+  const code = /^[a-z]$/.test(key) ? `Key${key.toUpperCase()}` : /^\d$/.test(key) ? `Digit${key}` : '';
+  const init = { key, code, bubbles: true, cancelable: true, composed: true };
+  if (document.activeElement && document.activeElement !== document.body) document.activeElement.blur();
+  document.body.dispatchEvent(new KeyboardEvent('keydown', init));
+  document.body.dispatchEvent(new KeyboardEvent('keypress', { ...init, charCode: key.charCodeAt(0) }));
+  document.body.dispatchEvent(new KeyboardEvent('keyup', init));
+}
+
+function restoreAfterKey(scroll) {
+  const [x, y] = scroll.split(',').map(Number);
+  if (document.activeElement && document.activeElement !== document.body) document.activeElement.blur();
+  window.scrollTo(x, y);
+}
+
+function finishShortcutProbe() {
+  const probe = window.__a11yShortcuts;
+  if (!probe) return;
+  probe.observer.disconnect();
+  window.removeEventListener('keydown', probe.watch);
+  window.removeEventListener('keypress', probe.watch);
+  delete window.__a11yShortcuts;
+}
+
+async function probeShortcuts(page) {
+  if (!(await page.evaluate(hasKeyListeners))) return [];
+  await page.evaluate(prepareShortcutProbe);
+  // Pages with timers or live regions mutate on their own; then DOM changes alone prove nothing.
+  await sleep(KEY_SETTLE_MS);
+  const idle = await page.evaluate(readShortcutState);
+  const noisy = idle.mutations > 0;
+
+  const triggered = [];
+  let { scroll, url } = idle;
+  for (const key of SHORTCUT_KEYS) {
+    await page.evaluate(pressCharacter, key);
+    await sleep(KEY_SETTLE_MS);
+    const after = await page.evaluate(readShortcutState);
+    const effects = [];
+    if (after.prevented) effects.push('cancelled the key');
+    if (after.focus) effects.push(`moved focus to ${after.focus}`);
+    if (after.scroll !== scroll) effects.push('scrolled the page');
+    if (after.url !== url) effects.push(`changed the URL to ${after.url}`);
+    if (!noisy && after.mutations) effects.push('changed the page');
+    if (!effects.length) continue;
+    triggered.push({ key, effects });
+    url = after.url;
+    await page.evaluate(restoreAfterKey, scroll);
+  }
+  await page.evaluate(finishShortcutProbe);
+  if (!triggered.length) return [];
+
+  return [issue({
+    code: 'WCAG2A.Principle2.Guideline2_1.2_1_4.F99',
+    type: 'warning',
+    message: 'Page reacts to single-character key presses when no control has focus; check that these shortcuts can be turned off or remapped.',
+    selector: 'html > body',
+    context: triggered.slice(0, 8).map(({ key, effects }) => `"${key}" ${effects.join(', ')}`).join('; '),
+    criterion: '2.1.4',
+    extras: { keys: triggered.map(({ key }) => key) }
+  })];
+}
+
+export async function runInteractionAudit(page) {
+  await installPageHelpers(page);
+  await page.evaluate(`window.__a11yIsShown = ${isShown.toString()}`);
+  const focusable = await page.evaluate(markHoverTriggers, MAX_TRIGGERS);
+  const issues = [];
+
+  // Hover handlers and shortcuts may fetch, post or navigate; keep the page where it is.
+  const release = await interceptRequests(page, sandboxRequests(page));
+  try {
+    await page.mouse.move(0, 0);
+    for (let id = 0; id < focusable.length; id += 1) {
+      issues.push(...(await probeTrigger(page, id, focusable[id]).catch(() => [])));
+      await resetPointer(page);
+    }
+    await page.evaluate(finishHoverProbe);
+    issues.push(...(await probeShortcuts(page).catch(() => [])));
+  } finally {
+    await release();
+    await page.evaluate(finishHoverProbe).catch(() => {});
+    await page.evaluate(finishShortcutProbe).catch(() => {});
+  }
+
+  return issues;
+}
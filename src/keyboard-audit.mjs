@@ -1,98 +1,15 @@
-import fs from 'node:fs';
-import puppeteer from 'puppeteer-core';
-
-const [, , targetUrl] = process.argv;
-
-if (!targetUrl) {
-  console.error('Usage: node scripts/a11y/run-keyboard-audit.mjs <url>');
-  process.exit(1);
-}
-
-const timeout = Number(process.env.A11Y_TIMEOUT || 120000);
-const waitMs = Number(process.env.A11Y_WAIT || 1000);
-let chromePath = process.env.A11Y_CHROME_PATH || '';
-
-function chromeCandidates() {
-  const candidates = process.platform === 'darwin'
-    ? [
-        '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
-        '/Applications/Google Chrome for Testing.app/Contents/MacOS/Google Chrome for Testing'
-      ]
-    : process.platform === 'win32'
-      ? [
-          'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
-          'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe'
-        ]
-      : [
-          '/usr/bin/google-chrome',
-          '/usr/bin/google-chrome-stable',
-          '/usr/bin/chromium-browser',
-          '/usr/bin/chromium'
-        ];
-  const seen = new Set();
-  const out = [];
-  if (chromePath) {
-    seen.add(chromePath);
-    out.push(chromePath);
-  }
-  for (const candidate of candidates) {
-    if (!seen.has(candidate) && fs.existsSync(candidate)) {
-      seen.add(candidate);
-      out.push(candidate);
-    }
-  }
-  return out;
-}
-
-if (!chromePath) {
-  for (const candidate of chromeCandidates()) {
-    if (fs.existsSync(candidate)) chromePath = candidate;
-    if (chromePath) break;
-  }
-}
-
-if (!chromePath) {
-  console.error('Missing A11Y_CHROME_PATH and no system Chrome was found.');
-  process.exit(1);
-}
+import { createIssue, installPageHelpers, loadAccessibilityTree } from './page-helpers.mjs';
 
 const pointerEvents = ['click', 'dblclick', 'mousedown', 'mouseup', 'mouseover', 'mouseout', 'mousemove', 'pointerdown', 'pointerup', 'touchstart', 'touchend'];
 const keyboardEvents = ['keydown', 'keyup', 'keypress', 'focus', 'blur'];
 
-let browser;
-let launchError;
-
-try {
-  for (const candidate of chromeCandidates()) {
-    try {
-      browser = await puppeteer.launch({
-        executablePath: candidate,
-        args: [
-          '--no-sandbox',
-          '--disable-dev-shm-usage',
-          '--allow-insecure-localhost',
-          '--ignore-certificate-errors'
-        ],
-        ignoreHTTPSErrors: true
-      });
-      break;
-    } catch (error) {
-      launchError = error;
-    }
-  }
-
-  if (!browser) {
-    throw launchError || new Error('Unable to launch Chrome for keyboard audit.');
-  }
-
-  const page = await browser.newPage();
-
+export async function instrumentPage(page) {
   await page.evaluateOnNewDocument(() => {
     const originalAddEventListener = EventTarget.prototype.addEventListener;
 
     EventTarget.prototype.addEventListener = function patchedAddEventListener(type, listener, options) {
       try {
-        if (this && this.nodeType === 1 && typeof type === 'string') {
+        if (this && (this.nodeType === 1 || this.nodeType === 9 || this === window) && typeof type === 'string') {
           const lowerType = type.toLowerCase();
           if (!Array.isArray(this.__a11yListenerTypes)) {
             Object.defineProperty(this, '__a11yListenerTypes', {
@@ -110,252 +27,33 @@ try {
       return originalAddEventListener.call(this, type, listener, options);
     };
   });
+}
 
-  await page.goto(targetUrl, { waitUntil: 'networkidle2', timeout });
-  if (waitMs > 0) {
-    await new Promise((resolve) => setTimeout(resolve, waitMs));
-  }
-
-  const issues = await page.evaluate((pointerEventList, keyboardEventList) => {
-    const interactiveRoles = new Set([
-      'button',
-      'checkbox',
-      'combobox',
-      'link',
-      'menuitem',
-      'menuitemcheckbox',
-      'menuitemradio',
-      'option',
-      'radio',
-      'searchbox',
-      'slider',
-      'spinbutton',
-      'switch',
-      'tab',
-      'textbox',
-      'treeitem'
-    ]);
-
-    const genericLinkTexts = new Set([
-      'click here',
-      'here',
-      'read more',
-      'learn more',
-      'more',
-      'details',
-      'view',
-      'go',
-      'link'
-    ]);
-
+export async function runKeyboardAudit(page) {
+  await installPageHelpers(page);
+  await loadAccessibilityTree(page);
+  return page.evaluate((pointerEventList, keyboardEventList) => {
     const pointerEventsSet = new Set(pointerEventList);
     const keyboardEventsSet = new Set(keyboardEventList);
 
-    function cssPath(el) {
-      if (!(el instanceof Element)) return '';
-
-      const parts = [];
-      let node = el;
-
-      while (node && node.nodeType === 1 && parts.length < 10) {
-        let part = node.tagName.toLowerCase();
-
-        if (node.id) {
-          part += `#${CSS.escape(node.id)}`;
-          parts.unshift(part);
-          break;
-        }
-
-        const classes = String(node.className || '')
-          .split(/\s+/)
-          .map((name) => name.trim())
-          .filter(Boolean)
-          .slice(0, 2);
-
-        if (classes.length) {
-          part += classes.map((name) => `.${CSS.escape(name)}`).join('');
-        }
-
-        const parent = node.parentElement;
-        if (parent) {
-          const siblings = Array.from(parent.children).filter((child) => child.tagName === node.tagName);
-          if (siblings.length > 1) {
-            part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
-          }
-        }
-
-        parts.unshift(part);
-        node = node.parentElement;
-      }
-
-      return parts.join(' > ');
-    }
-
-    function cleanText(value) {
-      return String(value || '').replace(/\s+/g, ' ').trim();
-    }
-
-    function isVisible(el) {
-      if (!(el instanceof Element)) return false;
-      if (el.hidden || el.getAttribute('aria-hidden') === 'true') {
-        return false;
-      }
-
-      const style = window.getComputedStyle(el);
-      if (style.display === 'none' || style.visibility === 'hidden') {
-        return false;
-      }
-
-      const rect = el.getBoundingClientRect();
-      return rect.width > 1 && rect.height > 1;
-    }
-
-    function hasHandler(el, eventNames, inlinePrefix) {
-      const inline = [...eventNames].some((eventName) => el.hasAttribute(`${inlinePrefix}${eventName}`));
-      const prop = [...eventNames].some((eventName) => typeof el[`${inlinePrefix}${eventName}`] === 'function');
-      const registered = Array.isArray(el.__a11yListenerTypes) && el.__a11yListenerTypes.some((type) => eventNames.has(type));
-      return inline || prop || registered;
-    }
-
-    function isNativeKeyboardElement(el) {
-      if (!(el instanceof Element)) return false;
-      const tag = el.tagName.toLowerCase();
-      if (tag === 'a' && el.hasAttribute('href')) return true;
-      if (['button', 'select', 'textarea', 'summary'].includes(tag)) return true;
-      if (tag === 'input' && String(el.getAttribute('type') || '').toLowerCase() !== 'hidden') return true;
-      return el.hasAttribute('contenteditable');
-    }
-
-    function isKeyboardFocusable(el) {
-      if (isNativeKeyboardElement(el)) return true;
-      const tabindex = el.getAttribute('tabindex');
-      if (tabindex === null) return false;
-      const value = Number(tabindex);
-      return Number.isFinite(value) && value >= 0;
-    }
-
-    function getLabelledByText(el) {
-      const ids = cleanText(el.getAttribute('aria-labelledby'));
-      if (!ids) return '';
-      const chunks = ids
-        .split(/\s+/)
-        .map((id) => {
-          const source = document.getElementById(id);
-          return source ? cleanText(source.textContent) : '';
-        })
-        .filter(Boolean);
-      return cleanText(chunks.join(' '));
-    }
-
-    function getLabelTextForControl(el) {
-      if (!(el instanceof Element)) return '';
-
-      const viaLabelledBy = getLabelledByText(el);
-      if (viaLabelledBy) return viaLabelledBy;
-
-      const ariaLabel = cleanText(el.getAttribute('aria-label'));
-      if (ariaLabel) return ariaLabel;
-
-      if ('labels' in el && el.labels && el.labels.length) {
-        const labelText = cleanText(Array.from(el.labels).map((label) => label.textContent).join(' '));
-        if (labelText) return labelText;
-      }
-
-      const id = cleanText(el.getAttribute('id'));
-      if (id) {
-        const explicitLabel = document.querySelector(`label[for="${CSS.escape(id)}"]`);
-        if (explicitLabel) {
-          const explicitText = cleanText(explicitLabel.textContent);
-          if (explicitText) return explicitText;
-        }
-      }
-
-      const wrappedLabel = el.closest('label');
-      if (wrappedLabel) {
-        const wrappedText = cleanText(wrappedLabel.textContent);
-        if (wrappedText) return wrappedText;
-      }
-
-      return '';
-    }
-
-    function accessibleName(el) {
-      if (!(el instanceof Element)) return '';
-
-      const labelledBy = getLabelledByText(el);
-      if (labelledBy) return labelledBy;
-
-      const ariaLabel = cleanText(el.getAttribute('aria-label'));
-      if (ariaLabel) return ariaLabel;
-
-      const tag = el.tagName.toLowerCase();
-      if (tag === 'img') {
-        return cleanText(el.getAttribute('alt'));
-      }
-
-      if (tag === 'input') {
-        const type = cleanText(el.getAttribute('type')).toLowerCase();
-        if (type === 'image') {
-          const alt = cleanText(el.getAttribute('alt'));
-          if (alt) return alt;
-        }
-        if (['submit', 'button', 'reset'].includes(type)) {
-          const value = cleanText(el.getAttribute('value'));
-          if (value) return value;
-        }
-      }
-
-      const controlLabel = getLabelTextForControl(el);
-      if (controlLabel) return controlLabel;
-
-      if (tag === 'a') {
-        const nestedImg = el.querySelector('img[alt]');
-        if (nestedImg) {
-          const nestedAlt = cleanText(nestedImg.getAttribute('alt'));
-          if (nestedAlt) return nestedAlt;
-        }
-      }
-
-      const title = cleanText(el.getAttribute('title'));
-      if (title) return title;
-
-      return cleanText(el.textContent);
-    }
-
-    function describeNode(el) {
-      const name = accessibleName(el);
-      const role = cleanText(el.getAttribute('role'));
-      const tag = el.tagName.toLowerCase();
-      const descriptor = cleanText(name || role || tag || 'element');
-      return descriptor.slice(0, 120);
-    }
-
-    function issue({ code, type = 'error', message, selector, context, runner = 'custom-keyboard-audit', criterion = null }) {
-      return {
-        code,
-        type,
-        typeCode: type === 'error' ? 1 : type === 'warning' ? 2 : 3,
-        message,
-        context,
-        selector,
-        runner,
-        runnerExtras: criterion ? { criterion } : undefined
-      };
-    }
-
-    const issues = [];
-    const seen = new Set();
-
-    function pushIssue(data) {
-      const key = `${data.code}::${data.selector}::${data.message}`;
-      if (seen.has(key)) return;
-      seen.add(key);
-      issues.push(issue(data));
-    }
-
-    const focusables = Array.from(document.querySelectorAll('a, button, input, select, textarea, summary, [tabindex], [role], [contenteditable]'));
-
-    for (const el of focusables) {
+    const {
+      interactiveRoles,
+      cssPath,
+      cleanText,
+      isVisible,
+      hasHandler,
+      isNativeKeyboardElement,
+      isKeyboardFocusable,
+      getLabelTextForControl,
+      axNode,
+      accessibleName,
+      describeNode,
+      focusables,
+      createCollector
+    } = window.__a11y;
+    const { issues, push: pushIssue } = createCollector('custom-keyboard-audit');
+
+    for (const el of focusables()) {
       if (!isVisible(el)) continue;
 
       const selector = cssPath(el);
@@ -383,19 +81,6 @@ try {
         });
       }
 
-      if (tag === 'a') {
-        const text = cleanText(name).toLowerCase();
-        if (text && genericLinkTexts.has(text)) {
-          pushIssue({
-            code: 'WCAG2A.Principle2.Guideline2_4.2_4_4.H30.2',
-            message: 'Link text is not descriptive enough.',
-            selector,
-            context: `Link text: "${cleanText(name)}"`,
-            criterion: '2.4.4'
-          });
-        }
-      }
-
       const pointerOnly = hasHandler(el, pointerEventsSet, 'on') && !hasHandler(el, keyboardEventsSet, 'on');
       const keyboardInaccessible = pointerOnly && !isKeyboardFocusable(el);
       if (keyboardInaccessible) {
@@ -443,7 +128,9 @@ try {
       const inputType = cleanText(field.getAttribute('type')).toLowerCase();
       if (['button', 'submit', 'reset', 'image'].includes(inputType)) continue;
 
-      const name = getLabelTextForControl(field);
+      // Chrome's computed name covers title, shadow-root labels and hidden aria-labelledby targets.
+      const computed = axNode(field);
+      const name = computed ? cleanText(computed.name) : getLabelTextForControl(field);
       if (!name) {
         pushIssue({
           code: 'WCAG2A.Principle1.Guideline1_3.1_3_1.F68',
@@ -457,17 +144,214 @@ try {
 
     return issues;
   }, pointerEvents, keyboardEvents);
+}
+
+const TAB_WALK_LIMIT = 400;
+const MAX_ORDER_ISSUES = 10;
+
+function prepareTabWalk() {
+  const { cssPath, describeNode, isVisible, tabbables } = window.__a11y;
+  const candidates = tabbables();
+  window.__a11yTabCandidates = candidates;
+
+  const start = document.createElement('span');
+  start.tabIndex = -1;
+  start.setAttribute('data-a11y-tab-start', '');
+  document.body.prepend(start);
+  start.focus();
+  window.scrollTo(0, 0);
+
+  return candidates.map((el, index) => ({
+    index,
+    selector: cssPath(el),
+    name: describeNode(el),
+    radioGroup: el.type === 'radio' && el.name ? el.name : null,
+    expected: isVisible(el)
+  }));
+}
+
+function readFocus() {
+  const { cssPath, describeNode, isVisible } = window.__a11y;
+  const startMarker = document.querySelector('[data-a11y-tab-start]');
+  if (startMarker && document.activeElement !== startMarker) startMarker.remove();
+
+  let el = document.activeElement;
+  while (el && el.shadowRoot && el.shadowRoot.activeElement) el = el.shadowRoot.activeElement;
+  if (!el || el === document.body || el === document.documentElement || el === startMarker) return null;
+
+  const rect = el.getBoundingClientRect();
+  return {
+    selector: cssPath(el),
+    name: describeNode(el),
+    tag: el.tagName.toLowerCase(),
+    domIndex: (window.__a11yTabCandidates || []).indexOf(el),
+    frame: el.tagName === 'IFRAME',
+    visible: isVisible(el),
+    onScreen: rect.right > 0 && rect.bottom > 0 && rect.left < window.innerWidth && rect.top < window.innerHeight,
+    rect: {
+      x: Math.round(rect.left + window.scrollX),
+      y: Math.round(rect.top + window.scrollY),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height)
+    }
+  };
+}
+
+function focusKey(state) {
+  return state.domIndex >= 0 ? `#${state.domIndex}` : state.selector;
+}
+
+async function pressAndRead(page, key) {
+  await page.keyboard.press(key);
+  return page.evaluate(readFocus);
+}
+
+async function walk(page, key, limit) {
+  const steps = [];
+  const seen = new Map();
+  let trap = null;
+  let complete = false;
+
+  for (let i = 0; i < limit; i += 1) {
+    const state = await pressAndRead(page, key);
+    if (!state) {
+      complete = true;
+      break;
+    }
+    const id = focusKey(state);
+    const previous = steps[steps.length - 1];
+    if (previous && focusKey(previous) === id) {
+      // Tabbing inside an iframe keeps the iframe as the active element.
+      if (state.frame) continue;
+      trap = { key, stops: [state] };
+      break;
+    }
+    if (seen.has(id)) {
+      if (seen.get(id) === 0) {
+        complete = true;
+      } else {
+        trap = { key, stops: steps.slice(seen.get(id)) };
+      }
+      break;
+    }
+    seen.set(id, steps.length);
+    steps.push(state);
+  }
+
+  return { steps, trap, complete };
+}
+
+async function escapesTrap(page, trap) {
+  const trapped = new Set(trap.stops.map(focusKey));
+  const state = await pressAndRead(page, 'Escape');
+  if (state && !trapped.has(focusKey(state))) return true;
+  const next = await pressAndRead(page, trap.key);
+  return !next || !trapped.has(focusKey(next));
+}
 
-  process.stdout.write(`${JSON.stringify(issues)}\n`);
-} catch (error) {
-  console.error(error?.stack || String(error));
-  process.exitCode = 1;
-} finally {
-  if (browser) {
-    try {
-      await browser.close();
-    } catch {
-      // no-op
+const issue = (data) => createIssue({ runner: 'custom-keyboard-audit', ...data });
+
+function describeStop(stop) {
+  return `${stop.name} (${stop.selector})`;
+}
+
+export async function runTabWalk(page) {
+  await installPageHelpers(page);
+  const candidates = await page.evaluate(prepareTabWalk);
+  const limit = Math.min(TAB_WALK_LIMIT, candidates.length * 2 + 10);
+  const viewportHeight = (page.viewport() || { height: 1024 }).height;
+  const issues = [];
+
+  const forward = await walk(page, 'Tab', limit);
+  let reverse = { steps: [], trap: null, complete: false };
+  let trap = forward.trap;
+  if (!trap && forward.steps.length) {
+    reverse = await walk(page, 'Shift+Tab', forward.steps.length + 5);
+    trap = reverse.trap;
+  }
+
+  const trapped = Boolean(trap) && !(await escapesTrap(page, trap));
+  if (trapped) {
+    const first = trap.stops[0];
+    issues.push(issue({
+      code: 'WCAG2A.Principle2.Guideline2_1.2_1_2.F10',
+      message: trap.stops.length === 1
+        ? `Keyboard focus is trapped: ${trap.key} does not move focus away from this element.`
+        : `Keyboard focus is trapped in a cycle of ${trap.stops.length} elements when pressing ${trap.key}.`,
+      selector: first.selector,
+      context: `Trapped stops: ${trap.stops.slice(0, 5).map(describeStop).join(' -> ')}; Escape did not release focus.`,
+      criterion: '2.1.2',
+      extras: { key: trap.key, stops: trap.stops.length }
+    }));
+  }
+
+  if (forward.complete) {
+    const reached = new Set(forward.steps.map((step) => step.domIndex));
+    const reachedGroups = new Set(candidates.filter((c) => reached.has(c.index) && c.radioGroup).map((c) => c.radioGroup));
+    for (const candidate of candidates) {
+      if (!candidate.expected || reached.has(candidate.index)) continue;
+      if (candidate.radioGroup && reachedGroups.has(candidate.radioGroup)) continue;
+      issues.push(issue({
+        code: 'WCAG2A.Principle2.Guideline2_1.2_1_1.G202.Unreached',
+        type: 'warning',
+        message: 'Element is focusable but was never reached by pressing Tab.',
+        selector: candidate.selector,
+        context: `Element: ${candidate.name}`,
+        criterion: '2.1.1'
+      }));
     }
   }
+
+  let orderIssues = 0;
+  forward.steps.forEach((step, index) => {
+    if (!step.visible || !step.onScreen) {
+      issues.push(issue({
+        code: `WCAG2AA.Principle2.Guideline2_4.2_4_7.G149.${step.visible ? 'OffScreen' : 'Hidden'}`,
+        message: step.visible
+          ? 'Keyboard focus lands on an element positioned outside the viewport.'
+          : 'Keyboard focus lands on an element that is not visible.',
+        selector: step.selector,
+        context: `Tab stop ${index + 1}: ${step.name}; box ${step.rect.width}x${step.rect.height} at ${step.rect.x},${step.rect.y}`,
+        criterion: '2.4.7',
+        extras: { tabStop: index + 1, rect: step.rect }
+      }));
+    }
+
+    const previous = forward.steps[index - 1];
+    if (!previous || orderIssues >= MAX_ORDER_ISSUES || previous.domIndex < 0 || step.domIndex < 0) return;
+    if (step.domIndex < previous.domIndex) {
+      orderIssues += 1;
+      issues.push(issue({
+        code: 'WCAG2A.Principle2.Guideline2_4.2_4_3.F44',
+        type: 'warning',
+        message: 'Focus moves backwards in document order, usually because of a positive tabindex.',
+        selector: step.selector,
+        context: `Tab stop ${index}: ${describeStop(previous)} -> tab stop ${index + 1}: ${describeStop(step)}`,
+        criterion: '2.4.3',
+        extras: { tabStop: index + 1, previous: previous.selector }
+      }));
+    } else if (previous.visible && step.visible && previous.rect.y - (step.rect.y + step.rect.height) > viewportHeight) {
+      orderIssues += 1;
+      issues.push(issue({
+        code: 'WCAG2A.Principle2.Guideline2_4.2_4_3.C27',
+        type: 'warning',
+        message: 'Focus jumps more than a screen height back up the page, against the visual reading order.',
+        selector: step.selector,
+        context: `Tab stop ${index}: ${describeStop(previous)} at y=${previous.rect.y} -> tab stop ${index + 1}: ${describeStop(step)} at y=${step.rect.y}`,
+        criterion: '2.4.3',
+        extras: { tabStop: index + 1, previous: previous.selector }
+      }));
+    }
+  });
+
+  return {
+    issues,
+    focusPath: {
+      complete: forward.complete,
+      trapped,
+      focusableCount: candidates.filter((candidate) => candidate.expected).length,
+      reverseStops: reverse.steps.length,
+      steps: forward.steps.map(({ selector, name, tag, visible, onScreen, rect }) => ({ selector, name, tag, visible, onScreen, rect }))
+    }
+  };
 }
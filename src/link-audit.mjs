@@ -0,0 +1,185 @@
+import { installPageHelpers, loadAccessibilityTree } from './page-helpers.mjs';
+
+// Keyed by primary language subtag; links are matched against the list for their own `lang`.
+export const GENERIC_LINK_TEXTS = {
+  en: ['click here', 'here', 'read more', 'learn more', 'more', 'details', 'view', 'go', 'link', 'more info', 'continue', 'this page', 'click', 'find out more'],
+  de: ['hier', 'hier klicken', 'klicken sie hier', 'mehr', 'weiter', 'weiterlesen', 'mehr erfahren', 'details', 'link', 'mehr lesen'],
+  fr: ['ici', 'cliquez ici', 'en savoir plus', 'lire la suite', 'plus', 'suite', 'détails', 'lien', 'voir plus'],
+  es: ['aquí', 'haga clic aquí', 'haz clic aquí', 'leer más', 'más', 'más información', 'ver más', 'detalles', 'enlace'],
+  nl: ['hier', 'klik hier', 'lees meer', 'meer', 'meer info', 'meer informatie', 'verder', 'details', 'link']
+};
+
+export const NEW_WINDOW_HINTS = {
+  en: ['new window', 'new tab', 'opens in', 'external'],
+  de: ['neues fenster', 'neuem fenster', 'neuer tab', 'neuen tab', 'neuem tab', 'öffnet in', 'extern'],
+  fr: ['nouvelle fenêtre', 'nouvel onglet', 'ouvre dans', 'externe'],
+  es: ['nueva ventana', 'nueva pestaña', 'se abre en', 'externo'],
+  nl: ['nieuw venster', 'nieuw tabblad', 'opent in', 'extern']
+};
+
+const MAX_PER_CODE = 25;
+
+// Generic texts are compared with link names normalised the way the page does it: lower case, punctuation
+// and symbols dropped. Hints may be symbols such as "↗", so they are only trimmed and lower-cased.
+const normaliseText = (value) => value.toLowerCase().replace(/[\p{P}\p{S}]+/gu, ' ').replace(/\s+/g, ' ').trim();
+const normaliseHint = (value) => value.trim().toLowerCase();
+
+function mergeLists(defaults, custom, name, replace, clean) {
+  if (custom == null) return replace ? {} : defaults;
+  const lists = Array.isArray(custom) ? { '*': custom } : custom;
+  if (typeof lists !== 'object') throw new Error(`links.${name} must be an array or an object of arrays keyed by language`);
+  const merged = replace ? {} : { ...defaults };
+  for (const [lang, values] of Object.entries(lists)) {
+    if (!Array.isArray(values) || values.some((value) => typeof value !== 'string')) {
+      throw new Error(`links.${name}.${lang} must be an array of strings`);
+    }
+    const key = lang.toLowerCase();
+    merged[key] = [...new Set([...(merged[key] || []), ...values.map(clean).filter(Boolean)])];
+  }
+  return merged;
+}
+
+export function resolveLinkConfig(cfg) {
+  const links = cfg.links || {};
+  if (typeof links !== 'object' || Array.isArray(links)) throw new Error('links must be an object');
+  return {
+    genericTexts: mergeLists(GENERIC_LINK_TEXTS, links.genericTexts, 'genericTexts', links.replaceDefaults, normaliseText),
+    newWindowHints: mergeLists(NEW_WINDOW_HINTS, links.newWindowHints, 'newWindowHints', links.replaceDefaults, normaliseHint)
+  };
+}
+
+function checkLinks(lists, max) {
+  const { cssPath, cleanText, isVisible, accessibleName, describeNode, createCollector } = window.__a11y;
+  const { issues, push } = createCollector('custom-link-audit', { maxPerCode: max });
+
+  const pageLang = (document.documentElement.lang || 'en').toLowerCase().split('-')[0];
+  const langOf = (el) => {
+    const scope = el.closest('[lang]');
+    return ((scope && scope.lang) || pageLang).toLowerCase().split('-')[0];
+  };
+  const listFor = (table, lang) => [...(table[lang] || table[pageLang] || table.en || []), ...(table['*'] || [])];
+  const normalise = (text) => cleanText(text).toLowerCase().replace(/[\p{P}\p{S}]+/gu, ' ').replace(/\s+/g, ' ').trim();
+
+  function destination(el) {
+    try {
+      const url = new URL(el.getAttribute('href'), document.baseURI);
+      return `${url.origin}${url.pathname.replace(/\/+$/, '') || '/'}${url.search}${url.hash}`;
+    } catch {
+      return cleanText(el.getAttribute('href'));
+    }
+  }
+
+  // Programmatically determined context for 2.4.4: enclosing sentence, list item or cell, plus the heading above.
+  let heading = '';
+  const links = [];
+  for (const el of document.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"], a[href], [role="link"]')) {
+    if (el.matches('h1, h2, h3, h4, h5, h6, [role="heading"]')) {
+      heading = cleanText(el.textContent);
+      continue;
+    }
+    if (!isVisible(el)) continue;
+    const block = el.closest('p, li, td, th, dd, dt');
+    links.push({ el, name: accessibleName(el), heading, context: block ? normalise(block.textContent) : '' });
+  }
+
+  const byName = new Map();
+  for (const link of links) {
+    const { el, name } = link;
+    const selector = cssPath(el);
+    const lang = langOf(el);
+    const text = normalise(name);
+
+    if (el.tagName === 'A' && text && listFor(lists.genericTexts, lang).includes(text)) {
+      push({
+        code: 'WCAG2A.Principle2.Guideline2_4.2_4_4.H30.2',
+        message: 'Link text is not descriptive enough.',
+        selector,
+        context: `Link text: "${cleanText(name)}"`,
+        criterion: '2.4.4'
+      });
+    }
+
+    if (text && el.hasAttribute('href')) {
+      if (!byName.has(text)) byName.set(text, []);
+      byName.get(text).push(link);
+    }
+
+    if (String(el.getAttribute('target')).toLowerCase() === '_blank') {
+      const described = cleanText(el.getAttribute('aria-describedby')).split(' ').filter(Boolean)
+        .map((id) => cleanText((document.getElementById(id) || {}).textContent)).join(' ');
+      const announced = `${name} ${described} ${cleanText(el.getAttribute('title'))}`.toLowerCase();
+      if (!listFor(lists.newWindowHints, lang).some((hint) => announced.includes(hint))) {
+        push({
+          code: 'WCAG2AAA.Principle3.Guideline3_2.3_2_5.H83',
+          type: 'warning',
+          message: 'Link opens a new window or tab but its name and description do not say so.',
+          selector,
+          context: `Element: ${describeNode(el)}; target="_blank"`,
+          criterion: '3.2.5'
+        });
+      }
+    }
+
+    // A label set with aria-label or aria-labelledby replaces the visible text for speech users.
+    const visible = cleanText(el.innerText);
+    const labelled = el.hasAttribute('aria-label') || el.hasAttribute('aria-labelledby');
+    if (labelled && name && /\p{L}.*\p{L}/u.test(visible) && !` ${normalise(name)} `.includes(` ${normalise(visible)} `)) {
+      push({
+        code: 'WCAG2A.Principle2.Guideline2_5.2_5_3.F96',
+        message: 'Accessible name of the link does not contain its visible label.',
+        selector,
+        context: `Visible label "${visible.slice(0, 60)}"; accessible name "${name.slice(0, 80)}"`,
+        criterion: '2.5.3',
+        extras: { label: visible, name }
+      });
+    }
+
+    const href = el.getAttribute('href') || '';
+    if (href.length > 1 && href.startsWith('#') && !/^#[!/]/.test(href)) {
+      let id = href.slice(1);
+      try {
+        id = decodeURIComponent(id);
+      } catch {
+        // Keep the raw fragment.
+      }
+      const target = document.getElementById(id) || document.getElementsByName(id)[0];
+      if (!target && id.toLowerCase() !== 'top') {
+        const skip = /^(skip|jump|zum|aller|saltar|naar)\b/i.test(cleanText(el.textContent)) || /main|content/i.test(id);
+        push({
+          code: skip ? 'WCAG2A.Principle2.Guideline2_4.2_4_1.G1.BrokenAnchor' : 'WCAG2A.Principle2.Guideline2_4.2_4_4.BrokenAnchor',
+          message: skip ? 'Skip link points at an element that does not exist.' : 'In-page link points at an element that does not exist.',
+          selector,
+          context: `Element: ${describeNode(el)}; href="${href.slice(0, 80)}"`,
+          criterion: skip ? '2.4.1' : '2.4.4'
+        });
+      }
+    }
+  }
+
+  for (const [, group] of byName) {
+    const destinations = [...new Set(group.map(({ el }) => destination(el)))];
+    if (destinations.length < 2) continue;
+    const contexts = group.map(({ heading: above, context }) => `${above}|${context}`);
+    const distinct = new Set(contexts).size === contexts.length;
+    const name = cleanText(group[0].name);
+    push({
+      code: distinct ? 'WCAG2AAA.Principle2.Guideline2_4.2_4_9.H30.Ambiguous' : 'WCAG2A.Principle2.Guideline2_4.2_4_4.H30.Ambiguous',
+      type: distinct ? 'warning' : 'error',
+      message: distinct
+        ? `${group.length} links named "${name}" go to different places; only their surrounding text tells them apart.`
+        : `${group.length} links named "${name}" go to different places and nothing around them tells them apart.`,
+      selector: cssPath(group[0].el),
+      context: `Destinations: ${destinations.slice(0, 3).join(', ')}${destinations.length > 3 ? ` and ${destinations.length - 3} more` : ''}`,
+      criterion: distinct ? '2.4.9' : '2.4.4',
+      extras: { links: group.length, destinations: destinations.length }
+    });
+  }
+
+  return issues;
+}
+
+export async function runLinkAudit(page, lists) {
+  await installPageHelpers(page);
+  await loadAccessibilityTree(page);
+  return page.evaluate(checkLinks, lists, MAX_PER_CODE);
+}
@@ -0,0 +1,248 @@
+import { installPageHelpers, loadAccessibilityTree } from './page-helpers.mjs';
+
+// Moving content must stop on its own within 5 s; watch a little longer than that.
+const WATCH_MS = 6500;
+const SAMPLE_MS = 500;
+const MOTION_LIMIT_MS = 5000;
+const MAX_FINDINGS = 10;
+
+function collectMedia() {
+  const { cssPath, cleanText, isVisible, accessibleName, describeNode, createCollector } = window.__a11y;
+  const { issues, push } = createCollector('custom-media-audit');
+  const embed = /(?:youtube(?:-nocookie)?\.com|youtu\.be|player\.vimeo\.com)/i;
+  const pauseName = /\b(pause|stop|mute|play)\b/i;
+
+  function nearby(el, levels = 3) {
+    let scope = el.closest('figure, article, section, [role="region"], main') || el.parentElement;
+    for (let i = 0; scope && i < levels && scope.textContent.length < 200; i += 1) scope = scope.parentElement;
+    return scope || document.body;
+  }
+
+  function hasTranscript(el) {
+    const scope = nearby(el);
+    const linked = Array.from(scope.querySelectorAll('a, button, summary, h2, h3, h4, h5, h6'))
+      .some((node) => /transcript|text version|audio description/i.test(accessibleName(node)));
+    const described = cleanText(el.getAttribute('aria-describedby')).split(/\s+/).filter(Boolean)
+      .some((id) => cleanText((document.getElementById(id) || {}).textContent).split(' ').length > 50);
+    return linked || described;
+  }
+
+  function hasPauseControl(el) {
+    if (el.hasAttribute('controls')) return true;
+    const scope = el.parentElement ? el.parentElement.parentElement || el.parentElement : document.body;
+    return Array.from(scope.querySelectorAll('button, [role="button"], a, input[type="checkbox"], [role="switch"]'))
+      .some((node) => pauseName.test(accessibleName(node)) || pauseName.test(cleanText(node.className)));
+  }
+
+  const tracks = (el, kinds) => Array.from(el.querySelectorAll('track')).some((track) => kinds.includes(String(track.kind || 'subtitles').toLowerCase()));
+  const base = (el) => ({ selector: cssPath(el), context: `Element: ${describeNode(el)}` });
+
+  for (const video of document.querySelectorAll('video')) {
+    if (!isVisible(video)) continue;
+    const silent = video.muted || video.hasAttribute('muted');
+    const transcript = hasTranscript(video);
+    if (silent) {
+      if (!transcript && (video.hasAttribute('controls') || video.duration > 5)) {
+        push({
+          ...base(video),
+          code: 'WCAG2A.Principle1.Guideline1_2.1_2_1.G159',
+          type: 'warning',
+          message: 'Muted video has no nearby text alternative; if it is video-only, provide a transcript or audio track.',
+          criterion: '1.2.1'
+        });
+      }
+      continue;
+    }
+    if (!tracks(video, ['captions', 'subtitles'])) {
+      push({
+        ...base(video),
+        code: 'WCAG2A.Principle1.Guideline1_2.1_2_2.H95',
+        message: 'Video has no captions track.',
+        criterion: '1.2.2'
+      });
+    }
+    if (!tracks(video, ['descriptions'])) {
+      if (!transcript) {
+        push({
+          ...base(video),
+          code: 'WCAG2A.Principle1.Guideline1_2.1_2_3.G69',
+          type: 'warning',
+          message: 'Video has neither an audio description track nor a nearby transcript.',
+          criterion: '1.2.3'
+        });
+      }
+      push({
+        ...base(video),
+        code: 'WCAG2AA.Principle1.Guideline1_2.1_2_5.G78',
+        type: 'warning',
+        message: 'Video has no audio description track; check that the soundtrack already describes the visual content.',
+        criterion: '1.2.5'
+      });
+    }
+    if (!transcript) {
+      push({
+        ...base(video),
+        code: 'WCAG2AAA.Principle1.Guideline1_2.1_2_8.G69',
+        type: 'warning',
+        message: 'Video has no nearby full text alternative.',
+        criterion: '1.2.8'
+      });
+    }
+  }
+
+  for (const audio of document.querySelectorAll('audio')) {
+    if (!audio.hasAttribute('controls') && !audio.autoplay) continue;
+    if (!hasTranscript(audio)) {
+      push({
+        ...base(audio),
+        code: 'WCAG2A.Principle1.Guideline1_2.1_2_1.G158',
+        message: 'Audio has no nearby transcript.',
+        criterion: '1.2.1'
+      });
+    }
+  }
+
+  for (const frame of document.querySelectorAll('iframe[src]')) {
+    if (!embed.test(frame.src) || !isVisible(frame)) continue;
+    const params = new URL(frame.src, document.baseURI).searchParams;
+    if (!hasTranscript(frame)) {
+      push({
+        ...base(frame),
+        code: 'WCAG2A.Principle1.Guideline1_2.1_2_2.Embedded',
+        type: 'warning',
+        message: 'Embedded video player: captions cannot be checked from the page, and no transcript was found nearby.',
+        context: `Player: ${frame.src.slice(0, 120)}`,
+        criterion: '1.2.2'
+      });
+    }
+    const autoplay = ['1', 'true'].includes(params.get('autoplay'));
+    const muted = ['1', 'true'].includes(params.get('mute')) || ['1', 'true'].includes(params.get('muted'));
+    if (autoplay && !muted) {
+      push({
+        ...base(frame),
+        code: 'WCAG2A.Principle1.Guideline1_4.1_4_2.F93',
+        type: 'warning',
+        message: 'Embedded player starts playing with sound; check that it stops within 3 seconds or can be paused or muted.',
+        context: `Player: ${frame.src.slice(0, 120)}`,
+        criterion: '1.4.2'
+      });
+    }
+  }
+
+  for (const media of document.querySelectorAll('video, audio')) {
+    const playing = !media.paused && !media.ended;
+    if (!(playing || media.autoplay) || media.muted || media.volume === 0) continue;
+    if (Number.isFinite(media.duration) && media.duration <= 3 && !media.loop) continue;
+    if (hasPauseControl(media)) continue;
+    push({
+      ...base(media),
+      code: 'WCAG2A.Principle1.Guideline1_4.1_4_2.F23',
+      message: 'Media plays sound automatically and has no control to pause, stop or mute it.',
+      criterion: '1.4.2',
+      extras: { duration: Number.isFinite(media.duration) ? Math.round(media.duration) : null }
+    });
+  }
+
+  for (const marquee of document.querySelectorAll('marquee')) {
+    push({
+      ...base(marquee),
+      code: 'WCAG2A.Principle2.Guideline2_2.2_2_2.F16',
+      message: 'Marquee scrolls content that cannot be paused.',
+      criterion: '2.2.2'
+    });
+  }
+
+  return issues;
+}
+
+function markMovingCandidates() {
+  const { isVisible } = window.__a11y;
+  const pattern = /carousel|slider|slideshow|swiper|slick|splide|glide|flickity|ticker|marquee|rotator/i;
+  const candidates = Array.from(document.querySelectorAll('[class], [id], [aria-roledescription], [aria-live="off"]'))
+    .filter((el) => isVisible(el) && el.children.length && (pattern.test(el.className) || pattern.test(el.id) || pattern.test(el.getAttribute('aria-roledescription') || '')))
+    .filter((el, i, list) => !list.some((other) => other !== el && other.contains(el)));
+  candidates.forEach((el, index) => el.setAttribute('data-a11y-motion-id', String(index)));
+  return candidates.length;
+}
+
+async function watchMotion(watchMs, sampleMs) {
+  const candidates = Array.from(document.querySelectorAll('[data-a11y-motion-id]'));
+  const signature = (el) => Array.from(el.querySelectorAll('*')).slice(0, 200).map((node) => {
+    const rect = node.getBoundingClientRect();
+    const style = window.getComputedStyle(node);
+    return `${Math.round(rect.left)},${Math.round(rect.top)},${style.opacity},${style.visibility},${node.getAttribute('aria-hidden') || ''}`;
+  }).join('|');
+
+  const last = candidates.map(signature);
+  const changes = candidates.map(() => []);
+  const started = performance.now();
+  while (performance.now() - started < watchMs) {
+    await new Promise((resolve) => setTimeout(resolve, sampleMs));
+    const elapsed = Math.round(performance.now() - started);
+    candidates.forEach((el, index) => {
+      const now = signature(el);
+      if (now !== last[index]) changes[index].push(elapsed);
+      last[index] = now;
+    });
+  }
+  return changes;
+}
+
+function reportMotion(changes, limitMs, max) {
+  const { cssPath, accessibleName, cleanText, describeNode, createCollector } = window.__a11y;
+  const { issues, push } = createCollector('custom-media-audit');
+  const pauseName = /\b(pause|stop|play)\b/i;
+
+  for (const el of document.querySelectorAll('[data-a11y-motion-id]')) {
+    const times = changes[Number(el.getAttribute('data-a11y-motion-id'))] || [];
+    if (issues.length >= max || !times.length || times[times.length - 1] <= limitMs) continue;
+    const scope = el.parentElement || el;
+    const control = Array.from(scope.querySelectorAll('button, [role="button"], input[type="checkbox"], [role="switch"]'))
+      .find((node) => pauseName.test(accessibleName(node)) || pauseName.test(cleanText(node.className)));
+    if (control) continue;
+    push({
+      code: 'WCAG2A.Principle2.Guideline2_2.2_2_2.G4',
+      message: 'Content advances automatically for more than 5 seconds and has no pause or stop control.',
+      selector: cssPath(el),
+      context: `Element: ${describeNode(el).slice(0, 80)}; changed ${times.length} time(s) in ${Math.round(times[times.length - 1] / 1000)}s without interaction`,
+      criterion: '2.2.2',
+      extras: { changes: times.length, lastChangeMs: times[times.length - 1] }
+    });
+  }
+
+  // Infinite CSS animations that move something larger than a loading spinner.
+  for (const animation of document.getAnimations()) {
+    if (issues.length >= max || animation.playState !== 'running' || !animation.effect) continue;
+    const target = animation.effect.target;
+    if (!target || target.closest('[data-a11y-motion-id]')) continue;
+    const timing = animation.effect.getComputedTiming();
+    if (timing.iterations !== Infinity && timing.endTime <= limitMs) continue;
+    const rect = target.getBoundingClientRect();
+    if (rect.width * rect.height < 100 * 60) continue;
+    push({
+      code: 'WCAG2A.Principle2.Guideline2_2.2_2_2.F16',
+      type: 'warning',
+      message: 'Animation runs for more than 5 seconds; check that it can be paused, stopped or hidden.',
+      selector: cssPath(target),
+      context: `${animation.animationName ? `Animation "${animation.animationName}"` : 'Animation'} ${timing.iterations === Infinity ? 'repeats forever' : `lasts ${Math.round(timing.endTime / 1000)}s`}`,
+      criterion: '2.2.2'
+    });
+  }
+
+  for (const el of document.querySelectorAll('[data-a11y-motion-id]')) el.removeAttribute('data-a11y-motion-id');
+  return issues;
+}
+
+export async function runMediaAudit(page) {
+  await installPageHelpers(page);
+  await loadAccessibilityTree(page);
+  const issues = await page.evaluate(collectMedia);
+
+  // Keep the pointer and focus away so hover- or focus-to-pause carousels keep moving.
+  await page.mouse.move(0, 0);
+  await page.evaluate(() => document.activeElement && document.activeElement !== document.body && document.activeElement.blur());
+  const candidates = await page.evaluate(markMovingCandidates);
+  const changes = candidates ? await page.evaluate(watchMotion, WATCH_MS, SAMPLE_MS) : [];
+  issues.push(...(await page.evaluate(reportMotion, changes, MOTION_LIMIT_MS, MAX_FINDINGS)));
+  return issues;
+}
@@ -0,0 +1,487 @@
+const AX_STATES = ['focusable', 'focused', 'disabled', 'expanded', 'checked', 'pressed', 'selected', 'required', 'invalid', 'modal'];
+
+// Shared by in-page collectors and Node-side checks; installPageHelpers passes it into the page as source.
+export function createIssue({ code, type = 'error', message, selector, context, runner, criterion = null, extras = null }) {
+  const runnerExtras = criterion || extras ? { ...(extras || {}), ...(criterion ? { criterion } : {}) } : undefined;
+  return {
+    code,
+    type,
+    typeCode: type === 'error' ? 1 : type === 'warning' ? 2 : 3,
+    message,
+    context,
+    selector,
+    runner,
+    runnerExtras
+  };
+}
+
+export async function installPageHelpers(page) {
+  const defineHelpers = (createIssue) => {
+    if (window.__a11y) return;
+
+    const interactiveRoles = new Set([
+      'button',
+      'checkbox',
+      'combobox',
+      'link',
+      'menuitem',
+      'menuitemcheckbox',
+      'menuitemradio',
+      'option',
+      'radio',
+      'searchbox',
+      'slider',
+      'spinbutton',
+      'switch',
+      'tab',
+      'textbox',
+      'treeitem'
+    ]);
+
+    function cssPath(el) {
+      if (!(el instanceof Element)) return '';
+
+      const parts = [];
+      let node = el;
+
+      while (node && node.nodeType === 1 && parts.length < 10) {
+        let part = node.tagName.toLowerCase();
+
+        if (node.id) {
+          part += `#${CSS.escape(node.id)}`;
+          parts.unshift(part);
+          break;
+        }
+
+        const classes = String(node.className || '')
+          .split(/\s+/)
+          .map((name) => name.trim())
+          .filter(Boolean)
+          .slice(0, 2);
+
+        if (classes.length) {
+          part += classes.map((name) => `.${CSS.escape(name)}`).join('');
+        }
+
+        const parent = node.parentElement;
+        if (parent) {
+          const siblings = Array.from(parent.children).filter((child) => child.tagName === node.tagName);
+          if (siblings.length > 1) {
+            part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+          }
+        }
+
+        parts.unshift(part);
+        node = node.parentElement;
+      }
+
+      return parts.join(' > ');
+    }
+
+    function cleanText(value) {
+      return String(value || '').replace(/\s+/g, ' ').trim();
+    }
+
+    function isVisible(el) {
+      if (!(el instanceof Element)) return false;
+      if (el.hidden || el.getAttribute('aria-hidden') === 'true') {
+        return false;
+      }
+
+      const style = window.getComputedStyle(el);
+      if (style.display === 'none' || style.visibility === 'hidden') {
+        return false;
+      }
+
+      const rect = el.getBoundingClientRect();
+      return rect.width > 1 && rect.height > 1;
+    }
+
+    function hasHandler(el, eventNames, inlinePrefix) {
+      const inline = [...eventNames].some((eventName) => el.hasAttribute(`${inlinePrefix}${eventName}`));
+      const prop = [...eventNames].some((eventName) => typeof el[`${inlinePrefix}${eventName}`] === 'function');
+      const registered = Array.isArray(el.__a11yListenerTypes) && el.__a11yListenerTypes.some((type) => eventNames.has(type));
+      return inline || prop || registered;
+    }
+
+    function isNativeKeyboardElement(el) {
+      if (!(el instanceof Element)) return false;
+      const tag = el.tagName.toLowerCase();
+      if (tag === 'a' && el.hasAttribute('href')) return true;
+      if (['button', 'select', 'textarea', 'summary'].includes(tag)) return true;
+      if (tag === 'input' && String(el.getAttribute('type') || '').toLowerCase() !== 'hidden') return true;
+      return el.hasAttribute('contenteditable');
+    }
+
+    function isKeyboardFocusable(el) {
+      if (isNativeKeyboardElement(el)) return true;
+      const tabindex = el.getAttribute('tabindex');
+      if (tabindex === null) return false;
+      const value = Number(tabindex);
+      return Number.isFinite(value) && value >= 0;
+    }
+
+    function focusables() {
+      return Array.from(document.querySelectorAll('a, button, input, select, textarea, summary, [tabindex], [role], [contenteditable]'));
+    }
+
+    function isInteractive(el) {
+      const role = cleanText(el.getAttribute('role')).toLowerCase();
+      return isNativeKeyboardElement(el) || interactiveRoles.has(role) || isKeyboardFocusable(el) || el.hasAttribute('onclick');
+    }
+
+    function tabbables() {
+      const selector = 'a[href], area[href], button, input:not([type="hidden"]), select, textarea, summary, iframe, audio[controls], video[controls], [tabindex], [contenteditable]:not([contenteditable="false"])';
+      return Array.from(document.querySelectorAll(selector)).filter((el) => el.tabIndex >= 0 && !el.disabled && !el.closest('[inert]'));
+    }
+
+    function getLabelledByText(el) {
+      const ids = cleanText(el.getAttribute('aria-labelledby'));
+      if (!ids) return '';
+      const chunks = ids
+        .split(/\s+/)
+        .map((id) => {
+          const source = document.getElementById(id);
+          return source ? cleanText(source.textContent) : '';
+        })
+        .filter(Boolean);
+      return cleanText(chunks.join(' '));
+    }
+
+    function getLabelTextForControl(el) {
+      if (!(el instanceof Element)) return '';
+
+      const viaLabelledBy = getLabelledByText(el);
+      if (viaLabelledBy) return viaLabelledBy;
+
+      const ariaLabel = cleanText(el.getAttribute('aria-label'));
+      if (ariaLabel) return ariaLabel;
+
+      if ('labels' in el && el.labels && el.labels.length) {
+        const labelText = cleanText(Array.from(el.labels).map((label) => label.textContent).join(' '));
+        if (labelText) return labelText;
+      }
+
+      const id = cleanText(el.getAttribute('id'));
+      if (id) {
+        const explicitLabel = document.querySelector(`label[for="${CSS.escape(id)}"]`);
+        if (explicitLabel) {
+          const explicitText = cleanText(explicitLabel.textContent);
+          if (explicitText) return explicitText;
+        }
+      }
+
+      const wrappedLabel = el.closest('label');
+      if (wrappedLabel) {
+        const wrappedText = cleanText(wrappedLabel.textContent);
+        if (wrappedText) return wrappedText;
+      }
+
+      return '';
+    }
+
+    // Chrome's computed node for el, from the last loadAccessibilityTree; null when it is not in the tree
+    // or the page has changed since, so checks that did not reload fall back to the hand-rolled name.
+    function axNode(el) {
+      return (window.__a11yAx && !window.__a11yAxStale && window.__a11yAx.get(el)) || null;
+    }
+
+    function elementAtPath(key) {
+      let node = document;
+      for (const step of key.split('/').slice(1)) {
+        node = step === 's' ? node && node.shadowRoot : node && node.children[Number(step)];
+      }
+      return node instanceof Element ? node : null;
+    }
+
+    function axNodeFor(selector) {
+      try {
+        return selector ? axNode(document.querySelector(selector)) : null;
+      } catch {
+        return null;
+      }
+    }
+
+    // The hand-rolled name below is only a fallback for elements Chrome leaves out of the tree.
+    function accessibleName(el) {
+      if (!(el instanceof Element)) return '';
+
+      const computed = axNode(el);
+      if (computed) return cleanText(computed.name);
+
+      const labelledBy = getLabelledByText(el);
+      if (labelledBy) return labelledBy;
+
+      const ariaLabel = cleanText(el.getAttribute('aria-label'));
+      if (ariaLabel) return ariaLabel;
+
+      const tag = el.tagName.toLowerCase();
+      if (tag === 'img') {
+        return cleanText(el.getAttribute('alt'));
+      }
+
+      if (tag === 'input') {
+        const type = cleanText(el.getAttribute('type')).toLowerCase();
+        if (type === 'image') {
+          const alt = cleanText(el.getAttribute('alt'));
+          if (alt) return alt;
+        }
+        if (['submit', 'button', 'reset'].includes(type)) {
+          const value = cleanText(el.getAttribute('value'));
+          if (value) return value;
+        }
+      }
+
+      const controlLabel = getLabelTextForControl(el);
+      if (controlLabel) return controlLabel;
+
+      if (tag === 'a') {
+        const nestedImg = el.querySelector('img[alt]');
+        if (nestedImg) {
+          const nestedAlt = cleanText(nestedImg.getAttribute('alt'));
+          if (nestedAlt) return nestedAlt;
+        }
+      }
+
+      const title = cleanText(el.getAttribute('title'));
+      if (title) return title;
+
+      return cleanText(el.textContent);
+    }
+
+    function describeNode(el) {
+      const name = accessibleName(el) || cleanText(el.textContent);
+      const role = cleanText(el.getAttribute('role'));
+      const tag = el.tagName.toLowerCase();
+      const descriptor = cleanText(name || role || tag || 'element');
+      return descriptor.slice(0, 120);
+    }
+
+    function parseColor(value) {
+      const m = String(value || '').match(/^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/);
+      if (!m) return null;
+      const alpha = m[4] === undefined ? 1 : m[4].endsWith('%') ? parseFloat(m[4]) / 100 : Number(m[4]);
+      return { r: Number(m[1]), g: Number(m[2]), b: Number(m[3]), a: alpha };
+    }
+
+    function blend(top, bottom) {
+      const a = top.a + bottom.a * (1 - top.a);
+      if (!a) return { r: 0, g: 0, b: 0, a: 0 };
+      const mix = (key) => (top[key] * top.a + bottom[key] * bottom.a * (1 - top.a)) / a;
+      return { r: mix('r'), g: mix('g'), b: mix('b'), a };
+    }
+
+    function luminance(r, g, b) {
+      const [R, G, B] = [r, g, b].map((v) => {
+        const c = v / 255;
+        return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+      });
+      return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+    }
+
+    function contrastRatio(first, second) {
+      const l1 = luminance(first.r, first.g, first.b);
+      const l2 = luminance(second.r, second.g, second.b);
+      return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+    }
+
+    function toHex(color) {
+      return `#${[color.r, color.g, color.b].map((v) => Math.round(v).toString(16).padStart(2, '0')).join('')}`;
+    }
+
+    // Composites background colours from el up to the canvas; null when an image or gradient is in the way.
+    function effectiveBackground(el) {
+      const layers = [];
+      for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+        const style = window.getComputedStyle(node);
+        if (style.backgroundImage !== 'none') return null;
+        const color = parseColor(style.backgroundColor);
+        if (color && color.a > 0) {
+          layers.push(color);
+          if (color.a >= 1) break;
+        }
+      }
+      return layers.reverse().reduce((below, layer) => blend(layer, below), { r: 255, g: 255, b: 255, a: 1 });
+    }
+
+    // maxPerCode caps findings per rule code so one repeated pattern cannot flood the report.
+    function createCollector(runner, { maxPerCode = Infinity } = {}) {
+      const issues = [];
+      const seen = new Set();
+      const perCode = new Map();
+
+      function push(data) {
+        const key = `${data.code}::${data.selector}::${data.message}`;
+        if (seen.has(key)) return;
+        const count = perCode.get(data.code) || 0;
+        if (count >= maxPerCode) return;
+        seen.add(key);
+        perCode.set(data.code, count + 1);
+        const computed = axNodeFor(data.selector);
+        const extras = computed ? { ...data.extras, computedName: computed.name, computedRole: computed.role } : data.extras;
+        issues.push(createIssue({ runner, ...data, extras }));
+      }
+
+      return { issues, push };
+    }
+
+    window.__a11y = {
+      interactiveRoles,
+      cssPath,
+      cleanText,
+      isVisible,
+      hasHandler,
+      isNativeKeyboardElement,
+      isKeyboardFocusable,
+      focusables,
+      isInteractive,
+      tabbables,
+      getLabelledByText,
+      getLabelTextForControl,
+      axNode,
+      axNodeFor,
+      elementAtPath,
+      accessibleName,
+      describeNode,
+      parseColor,
+      blend,
+      luminance,
+      contrastRatio,
+      toHex,
+      effectiveBackground,
+      issue: createIssue,
+      createCollector
+    };
+  };
+  await page.evaluate(`(${defineHelpers})(${createIssue})`);
+}
+
+// Element paths from the document root, with "s" stepping into a shadow root. indexAccessibilityTree and
+// elementAtPath walk the live DOM the same way to match Chrome's nodes to elements without touching the page.
+export function elementPaths(root) {
+  const paths = new Map();
+  collectElementPaths(root, '', paths);
+  return paths;
+}
+
+function collectElementPaths(node, path, paths) {
+  (node.children || []).filter((child) => child.nodeType === 1).forEach((child, index) => {
+    const key = `${path}/${index}`;
+    paths.set(child.backendNodeId, { key, tag: child.nodeName });
+    collectElementPaths(child, key, paths);
+    for (const shadow of child.shadowRoots || []) {
+      if (shadow.shadowRootType !== 'user-agent') collectElementPaths(shadow, `${key}/s`, paths);
+    }
+  });
+}
+
+function indexAccessibilityTree(entries) {
+  const index = new WeakMap();
+  const walk = (node, path) => {
+    Array.from(node.children).forEach((child, i) => {
+      const key = `${path}/${i}`;
+      const entry = entries[key];
+      if (entry && entry.tag.toLowerCase() === child.tagName.toLowerCase()) index.set(child, entry);
+      walk(child, key);
+      if (child.shadowRoot) walk(child.shadowRoot, `${key}/s`);
+    });
+  };
+  walk(document, '');
+  window.__a11yAx = index;
+  window.__a11yAxStale = false;
+  if (!window.__a11yAxObserver) {
+    // The scanner's data-a11y-* markers and the elements it inserts itself do not change the tree.
+    const ours = (node) => node.nodeType === 1 && node.matches('[data-a11y-focus-audit], [data-a11y-text-spacing], [data-a11y-tab-start]');
+    const relevant = (record) => {
+      if (record.type === 'attributes') return !record.attributeName.startsWith('data-a11y-');
+      if (record.type === 'characterData') return !(record.target.parentElement && ours(record.target.parentElement));
+      return !ours(record.target) && ![...record.addedNodes, ...record.removedNodes].every(ours);
+    };
+    window.__a11yAxObserver = new MutationObserver((records) => {
+      if (records.some(relevant)) window.__a11yAxStale = true;
+    });
+    window.__a11yAxObserver.observe(document, { childList: true, subtree: true, attributes: true, characterData: true });
+  }
+}
+
+// Loads Chrome's computed names, roles and states; reloaded only after the page itself has changed. Only
+// checks whose logic depends on names call this; the rest get computed fields from annotateIssues.
+export async function loadAccessibilityTree(page) {
+  if (await page.evaluate(() => Boolean(window.__a11yAx) && !window.__a11yAxStale)) return;
+  const client = await page.createCDPSession();
+  try {
+    const { root } = await client.send('DOM.getDocument', { depth: -1, pierce: true });
+    const paths = elementPaths(root);
+    const { nodes } = await client.send('Accessibility.getFullAXTree');
+    const entries = {};
+    for (const node of nodes) {
+      const path = paths.get(node.backendDOMNodeId);
+      if (!path || node.ignored || entries[path.key]) continue;
+      const states = {};
+      for (const { name, value } of node.properties || []) {
+        if (AX_STATES.includes(name) && value) states[name] = value.value;
+      }
+      entries[path.key] = {
+        tag: path.tag,
+        role: (node.role && node.role.value) || '',
+        name: (node.name && node.name.value) || '',
+        description: (node.description && node.description.value) || '',
+        states
+      };
+    }
+    await page.evaluate(indexAccessibilityTree, entries);
+  } catch {
+    // Without the tree every check falls back to the hand-rolled name.
+    await page.evaluate(() => {
+      window.__a11yAx = null;
+    }).catch(() => {});
+  } finally {
+    await client.detach().catch(() => {});
+  }
+}
+
+// Adds Chrome's computed name and role to issues that were not created by an in-page collector (pa11y
+// and Node-side checks), looked up by their selector.
+export async function annotateIssues(page, issues) {
+  const pending = issues.filter((item) => item.selector && !(item.runnerExtras && 'computedRole' in item.runnerExtras));
+  if (!pending.length) return issues;
+  await installPageHelpers(page);
+  await loadAccessibilityTree(page);
+  const found = await page.evaluate((selectors) => selectors.map((selector) => {
+    const node = window.__a11y.axNodeFor(selector);
+    return node ? { name: node.name, role: node.role } : null;
+  }), pending.map((item) => item.selector));
+  pending.forEach((item, index) => {
+    if (found[index]) item.runnerExtras = { ...item.runnerExtras, computedName: found[index].name, computedRole: found[index].role };
+  });
+  return issues;
+}
+
+const interceptors = new WeakMap();
+
+// The session headers and the probe sandboxes share a page: interception stays on until the last
+// handler is released, and handlers resolve requests cooperatively at priority 0.
+export async function interceptRequests(page, handler) {
+  const count = interceptors.get(page) || 0;
+  interceptors.set(page, count + 1);
+  if (!count) await page.setRequestInterception(true);
+  page.on('request', handler);
+  return async () => {
+    page.off('request', handler);
+    const left = interceptors.get(page) - 1;
+    interceptors.set(page, left);
+    if (!left) await page.setRequestInterception(false).catch(() => {});
+  };
+}
+
+// Request handler that lets only GET requests for the current page's resources through, for probes
+// that trigger page code which might post data or navigate away.
+export function sandboxRequests(page) {
+  const mainFrame = page.mainFrame();
+  return (request) => {
+    if (request.isInterceptResolutionHandled()) return;
+    const leaves = request.isNavigationRequest() && request.frame() === mainFrame;
+    if (leaves || !['GET', 'HEAD'].includes(request.method())) request.abort('aborted', 0).catch(() => {});
+    else request.continue(request.continueRequestOverrides(), 0).catch(() => {});
+  };
+}
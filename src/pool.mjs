@@ -0,0 +1,59 @@
+export function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return '';
+  }
+}
+
+export function positiveInt(value, fallback) {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n >= 1 ? n : fallback;
+}
+
+export function runPool(items, worker, { concurrency = 1, perHost = concurrency, keyOf = hostOf } = {}) {
+  const results = new Array(items.length);
+  const pending = items.map((item, index) => ({ item, index, key: keyOf(item) }));
+  const activeByKey = new Map();
+  let active = 0;
+  let failure = null;
+
+  return new Promise((resolve, reject) => {
+    // After a failure no new jobs start, and the pool rejects only once running jobs have settled,
+    // so callers can safely tear down shared resources (the browser) afterwards.
+    const pump = () => {
+      if (failure && active === 0) {
+        reject(failure.error);
+        return;
+      }
+      if (!failure && !pending.length && active === 0) {
+        resolve(results);
+        return;
+      }
+      if (failure) return;
+
+      while (active < concurrency) {
+        const at = pending.findIndex((job) => (activeByKey.get(job.key) || 0) < perHost);
+        if (at === -1) break;
+        const [job] = pending.splice(at, 1);
+        active += 1;
+        activeByKey.set(job.key, (activeByKey.get(job.key) || 0) + 1);
+
+        Promise.resolve()
+          .then(() => worker(job.item, job.index))
+          .then((value) => {
+            results[job.index] = value;
+          }, (error) => {
+            if (!failure) failure = { error };
+          })
+          .then(() => {
+            active -= 1;
+            activeByKey.set(job.key, activeByKey.get(job.key) - 1);
+            pump();
+          });
+      }
+    };
+
+    pump();
+  });
+}
@@ -2,9 +2,130 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { criterionFromCode, wcagLevel } from './wcag.mjs';
 import { esc } from './utils.mjs';
+import { EMULATIONS } from './emulation-audit.mjs';
+import { LAYOUT_VIEWPORTS } from './viewport-audit.mjs';
 
-export function writePageHtmlSummary(reportPath, outputPath) {
+function emptyRow(fields) {
+  return { ...fields, issueCount: 0, pages: new Set(), criteria: new Set(), levels: { A: 0, AA: 0, AAA: 0, Unknown: 0 } };
+}
+
+function countIssue(row, page, issue) {
+  const level = wcagLevel(issue.code);
+  row.issueCount += 1;
+  row.pages.add(page.url);
+  row.levels[level] += 1;
+  if (level !== 'Unknown') row.criteria.add(criterionFromCode(issue.code));
+}
+
+function finishRows(rows) {
+  return [...rows.values()].map(({ pages: pageSet, criteria, ...row }) => ({ ...row, pageCount: pageSet.size, criteriaCount: criteria.size }));
+}
+
+// Emulation passes are reported on their own, so viewport rows only count the plain passes.
+export function viewportRows(pages, configured = []) {
+  const rows = new Map(configured.map((v) => [v.name, emptyRow({ name: v.name, size: `${v.width}x${v.height}` })]));
+  const tagged = pages.some((page) => page.issues.some((issue) => issue.viewport && !issue.emulation));
+  if (!tagged && !rows.size) return [];
+
+  for (const page of pages) {
+    for (const issue of page.issues) {
+      if (issue.code === 'A11Y.RUNNER.ERROR' || issue.emulation) continue;
+      const name = issue.viewport || 'default';
+      if (!rows.has(name)) {
+        const known = LAYOUT_VIEWPORTS.find((v) => v.name === name);
+        const size = known ? `${known.width}x${known.height}` : name === 'default' ? '1280x1024' : '-';
+        rows.set(name, emptyRow({ name, size }));
+      }
+      countIssue(rows.get(name), page, issue);
+    }
+  }
+
+  return finishRows(rows);
+}
+
+export function emulationRows(pages, configured = []) {
+  const media = (mode) => (EMULATIONS[mode] || []).map((f) => `${f.name}: ${f.value}`).join(', ') || '-';
+  const rows = new Map(configured.map((mode) => [mode, emptyRow({ name: mode, media: media(mode), onlyCount: 0 })]));
+
+  for (const page of pages) {
+    const plain = new Set(page.issues.filter((issue) => !issue.emulation).map((issue) => `${issue.code}::${issue.selector || ''}`));
+    for (const issue of page.issues) {
+      if (!issue.emulation || issue.code === 'A11Y.RUNNER.ERROR') continue;
+      if (!rows.has(issue.emulation)) rows.set(issue.emulation, emptyRow({ name: issue.emulation, media: media(issue.emulation), onlyCount: 0 }));
+      const row = rows.get(issue.emulation);
+      countIssue(row, page, issue);
+      if (!plain.has(`${issue.code}::${issue.selector || ''}`)) row.onlyCount += 1;
+    }
+  }
+
+  return finishRows(rows);
+}
+
+function viewportTable(rows) {
+  if (!rows.length) return '';
+  return `<h2>Viewports</h2><div class="table"><table><thead><tr><th>Viewport</th><th>Size</th><th>Issues</th><th>Pages</th><th>Criteria</th><th>A / AA / AAA</th></tr></thead><tbody>
+${rows.map((r)=>`<tr><td>${esc(r.name)}</td><td>${esc(r.size)}</td><td>${r.issueCount}</td><td>${r.pageCount}</td><td>${r.criteriaCount}</td><td>${r.levels.A} / ${r.levels.AA} / ${r.levels.AAA}</td></tr>`).join('')}
+</tbody></table></div>`;
+}
+
+function emulationTable(rows) {
+  if (!rows.length) return '';
+  return `<h2>Emulation</h2><div class="table"><table><thead><tr><th>Mode</th><th>Media</th><th>Issues</th><th>Only In Mode</th><th>Pages</th><th>Criteria</th><th>A / AA / AAA</th></tr></thead><tbody>
+${rows.map((r)=>`<tr><td>${esc(r.name)}</td><td><code>${esc(r.media)}</code></td><td>${r.issueCount}</td><td>${r.onlyCount}</td><td>${r.pageCount}</td><td>${r.criteriaCount}</td><td>${r.levels.A} / ${r.levels.AA} / ${r.levels.AAA}</td></tr>`).join('')}
+</tbody></table></div>`;
+}
+
+function readPageData(pageFile) {
+  if (!pageFile) return {};
+  try {
+    return JSON.parse(fs.readFileSync(pageFile, 'utf8')) || {};
+  } catch {
+    return {};
+  }
+}
+
+function focusPathSection(focusPaths = []) {
+  return focusPaths.map((fp) => {
+    const tags = [fp.viewport, fp.emulation].filter(Boolean).join(', ');
+    const title = tags ? `Focus Path (${tags})` : 'Focus Path';
+    const status = fp.trapped ? 'focus trapped' : fp.complete ? 'complete' : 'stopped early';
+    return `<h2>${esc(title)}</h2>
+<p>${fp.steps.length} Tab stop(s) for ${fp.focusableCount} visible focusable element(s), ${esc(status)}; Shift+Tab walked back ${fp.reverseStops} stop(s).</p>
+<div class="table"><table><thead><tr><th>#</th><th>Element</th><th>Selector</th><th>Position</th><th>Visible</th></tr></thead><tbody>
+${fp.steps.map((step, i)=>`<tr><td>${i + 1}</td><td>${esc(step.name || step.tag)}</td><td><code>${esc(step.selector)}</code></td><td>${step.rect.x},${step.rect.y} (${step.rect.width}x${step.rect.height})</td><td>${step.visible && step.onScreen ? 'yes' : step.visible ? 'off-screen' : 'no'}</td></tr>`).join('') || '<tr><td colspan="5">No element received focus.</td></tr>'}
+</tbody></table></div>`;
+  }).join('\n');
+}
+
+function outlineSection(outline) {
+  if (!outline) return '';
+  function item(node) {
+    const flags = node.flags.length ? ` <span class="flag">${esc(node.flags.join(', '))}</span>` : '';
+    const label = node.type === 'landmark'
+      ? `<span class="tag landmark">${esc(node.role)}</span>${node.name ? ` ${esc(node.name)}` : ''}`
+      : `<span class="tag">h${node.level}</span> ${esc(node.text || '(empty)')}`;
+    const children = node.children.length ? `<ul>${node.children.map(item).join('')}</ul>` : '';
+    return `<li title="${esc(node.selector)}">${label}${flags}${children}</li>`;
+  }
+  return `<h2>Page Outline</h2>
+<p>${outline.headingCount} heading(s) and ${outline.landmarkCount} landmark(s).</p>
+<div class="card outline">${outline.tree.length ? `<ul>${outline.tree.map(item).join('')}</ul>` : '<p>No headings or landmarks found.</p>'}</div>`;
+}
+
+function contrastSection(issues) {
+  const measured = issues.filter((i) => i.runnerExtras && typeof i.runnerExtras.ratio === 'number');
+  if (!measured.length) return '';
+  const swatch = (hex) => `<span class="swatch" style="background:${esc(hex)}"></span><code>${esc(hex)}</code>`;
+  return `<h2>Contrast Measurements</h2><div class="table"><table><thead><tr><th>SC</th><th>State</th><th>Ratio</th><th>Required</th><th>Foreground</th><th>Background</th><th>Selector</th><th>Message</th></tr></thead><tbody>
+${measured.map((i)=>`<tr><td>${esc(i.runnerExtras.criterion || '-')}</td><td>${esc(i.runnerExtras.state || 'default')}</td><td>${i.runnerExtras.ratio}:1</td><td>${i.runnerExtras.threshold}:1</td><td>${swatch(i.runnerExtras.foreground)}</td><td>${swatch(i.runnerExtras.background)}</td><td><code>${esc(i.selector || '-')}</code></td><td>${esc(i.message || '-')}</td></tr>`).join('')}
+</tbody></table></div>`;
+}
+
+export function writePageHtmlSummary(reportPath, outputPath, target = 'WCAG2AAA', { viewports = [], emulations = [], pageFile = null, transcriptFile = null } = {}) {
   const issues = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+  const pageData = readPageData(pageFile);
+  const byViewport = viewportRows([{ url: reportPath, issues }], viewports);
+  const byEmulation = emulationRows([{ url: reportPath, issues }], emulations);
   const byRule = new Map();
   const levelCounts = { AAA: 0, AA: 0, A: 0, Unknown: 0 };
 
@@ -26,7 +147,9 @@ export function writePageHtmlSummary(reportPath, outputPath) {
       criterion: criterionFromCode(code),
       message: (first.message || '').replace(/\s+/g, ' ').trim(),
       selectors,
-      more: Math.max(0, list.length - selectors.length)
+      more: Math.max(0, list.length - selectors.length),
+      viewports: [...new Set(list.filter((i) => !i.emulation).map((i) => i.viewport).filter(Boolean))],
+      emulations: [...new Set(list.map((i) => i.emulation).filter(Boolean))]
     };
   }).sort((a, b) => b.count - a.count);
 
@@ -38,11 +161,14 @@ main{max-width:1280px;margin:0 auto;padding:20px 16px 28px}
 .grid{display:grid;gap:12px;grid-template-columns:repeat(auto-fit,minmax(160px,1fr));margin-bottom:18px}
 .card{background:#fff;border:1px solid #e5e7eb;border-radius:10px;padding:10px 12px}.k{font-size:12px;color:#6b7280;text-transform:uppercase}.v{font-size:22px;font-weight:700}
 .badge{display:inline-block;border-radius:999px;padding:2px 10px;font-size:12px;font-weight:700}.AAA{background:#e0f2fe;color:#0369a1;border:1px solid #bae6fd}.AA{background:#d1fae5;color:#047857;border:1px solid #a7f3d0}.A{background:#ffedd5;color:#b45309;border:1px solid #fed7aa}.Unknown{background:#ede9fe;color:#6d28d9;border:1px solid #ddd6fe}
-.table-wrap{overflow:auto;background:#fff;border:1px solid #e5e7eb;border-radius:10px}
+.table-wrap,.table{overflow:auto;background:#fff;border:1px solid #e5e7eb;border-radius:10px}.table{margin-bottom:14px}
+.outline ul{list-style:none;margin:0;padding-left:20px;border-left:1px dashed #cbd5e1}.outline>ul{padding-left:0;border:0}.outline li{padding:3px 0}
+.tag{display:inline-block;min-width:24px;border-radius:4px;padding:0 6px;font-size:12px;font-weight:700;background:#f1f5f9;border:1px solid #cbd5e1}.tag.landmark{background:#ecfdf5;border-color:#a7f3d0;color:#047857}.flag{font-size:12px;color:#b91c1c}
+.swatch{display:inline-block;width:14px;height:14px;border:1px solid #9ca3af;border-radius:3px;vertical-align:middle;margin-right:6px}
 table{width:100%;border-collapse:collapse;min-width:960px}th,td{padding:8px 10px;border-bottom:1px solid #e5e7eb;vertical-align:top}th{text-align:left;background:#f1f5f9}
 </style></head><body><main>
 <h1>Accessibility Summary</h1>
-<p>Target: <strong>WCAG AAA</strong> | Source: <code>${esc(reportPath)}</code></p>
+<p>Target: <strong>${esc(target)}</strong> | Source: <code>${esc(reportPath)}</code>${transcriptFile ? ` | <a href="${esc(path.relative(path.dirname(outputPath), transcriptFile))}">Screen reader transcript</a>` : ''}</p>
 <section class="grid">
 <div class="card"><div class="k">Total Issues</div><div class="v">${issues.length}</div></div>
 <div class="card"><div class="k">Unique Rules</div><div class="v">${rows.length}</div></div>
@@ -51,16 +177,74 @@ table{width:100%;border-collapse:collapse;min-width:960px}th,td{padding:8px 10px
 <div class="card"><div class="k">AAA Issues</div><div class="v">${levelCounts.AAA}</div></div>
 <div class="card"><div class="k">Unknown</div><div class="v">${levelCounts.Unknown}</div></div>
 </section>
-<div class="table-wrap"><table><thead><tr><th>Count</th><th>WCAG</th><th>SC</th><th>Rule</th><th>Message</th></tr></thead><tbody>
-${rows.map((r) => `<tr><td>${r.count}</td><td><span class="badge ${esc(r.level)}">${esc(r.level)}</span></td><td>${esc(r.criterion || '-')}</td><td><code>${esc(r.code)}</code></td><td>${esc(r.message || '-')}</td></tr>`).join('')}
+${viewportTable(byViewport)}
+${emulationTable(byEmulation)}
+<div class="table-wrap"><table><thead><tr><th>Count</th><th>WCAG</th><th>SC</th><th>Rule</th><th>Message</th>${byViewport.length ? '<th>Viewports</th>' : ''}${byEmulation.length ? '<th>Emulation</th>' : ''}</tr></thead><tbody>
+${rows.map((r) => `<tr><td>${r.count}</td><td><span class="badge ${esc(r.level)}">${esc(r.level)}</span></td><td>${esc(r.criterion || '-')}</td><td><code>${esc(r.code)}</code></td><td>${esc(r.message || '-')}</td>${byViewport.length ? `<td>${esc(r.viewports.join(', ') || 'default')}</td>` : ''}${byEmulation.length ? `<td>${esc(r.emulations.join(', ') || '-')}</td>` : ''}</tr>`).join('')}
 </tbody></table></div>
+${outlineSection(pageData.outline)}
+${contrastSection(issues)}
+${focusPathSection(pageData.focusPaths)}
 </main></body></html>`;
 
   fs.mkdirSync(path.dirname(outputPath), { recursive: true });
   fs.writeFileSync(outputPath, html, 'utf8');
 }
 
-export function writeBatchSummary(reportRoot, manifest, ruleRows, levelCounts) {
+// Issues are placed on the first line spoken for their element (or its closest spoken ancestor); the
+// rest are listed above the transcript.
+export function writeTranscriptHtml(outputPath, url, transcript, issues) {
+  const lines = transcript.lines;
+  const lineFor = new Map();
+  lines.forEach((line, index) => {
+    if (line.selector && line.kind !== 'end' && !lineFor.has(line.selector)) lineFor.set(line.selector, index);
+  });
+  const marks = new Map();
+  const unplaced = [];
+  const seen = new Set();
+  for (const issue of issues) {
+    if (issue.code === 'A11Y.RUNNER.ERROR') continue;
+    const key = `${issue.code}::${issue.selector || ''}::${issue.message || ''}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const selector = transcript.aliases[issue.selector] || issue.selector;
+    const index = lineFor.get(selector);
+    if (index === undefined) {
+      unplaced.push(issue);
+      continue;
+    }
+    if (!marks.has(index)) marks.set(index, []);
+    marks.get(index).push(issue);
+  }
+
+  const note = (issue) => `<div class="note ${esc(issue.type || 'unknown')}"><span class="badge ${esc(wcagLevel(issue.code))}">${esc(criterionFromCode(issue.code) || wcagLevel(issue.code))}</span> ${esc(issue.message || issue.code)}</div>`;
+  const html = `<!doctype html><html lang="en"><head><meta charset="utf-8"/><meta name="viewport" content="width=device-width, initial-scale=1"/>
+<title>Screen Reader Transcript - ${esc(url)}</title>
+<style>
+body{margin:0;font-family:ui-sans-serif,system-ui,-apple-system,Segoe UI,Roboto,Arial;background:#f8fafc;color:#111827}
+main{max-width:960px;margin:0 auto;padding:20px 16px 28px}
+.card{background:#fff;border:1px solid #e5e7eb;border-radius:10px;padding:10px 12px;margin-bottom:14px}
+.badge{display:inline-block;border-radius:999px;padding:0 8px;font-size:12px;font-weight:700}.AAA{background:#e0f2fe;color:#0369a1;border:1px solid #bae6fd}.AA{background:#d1fae5;color:#047857;border:1px solid #a7f3d0}.A{background:#ffedd5;color:#b45309;border:1px solid #fed7aa}.Unknown{background:#ede9fe;color:#6d28d9;border:1px solid #ddd6fe}
+ol.transcript{list-style:none;margin:0;padding:0}.transcript li{padding:3px 0;border-bottom:1px solid #f1f5f9}
+.start,.end{color:#047857;font-style:italic}.node{font-weight:600}.has-issue{background:#fef2f2}
+.note{margin:4px 0 2px;font-size:13px;font-weight:400;font-style:normal;color:#374151}.note.error{color:#991b1b}.note.warning{color:#92400e}
+</style></head><body><main>
+<h1>Screen Reader Transcript</h1>
+<p>Page: <a href="${esc(url)}">${esc(url)}</a></p>
+<p>What a screen reader announces when reading the page from top to bottom, built from Chrome's accessibility tree: each element's role, name and state, headings with their level, and where landmarks and lists begin and end. Lines with a problem are highlighted and the problem is described underneath.</p>
+<div class="card">${lines.length} line(s), ${[...marks.values()].reduce((sum, list) => sum + list.length, 0)} issue(s) shown inline, ${unplaced.length} issue(s) not tied to a spoken element.${transcript.truncated ? ' The transcript was cut off after the first lines.' : ''}</div>
+${unplaced.length ? `<h2>Issues Not in the Transcript</h2><div class="card">${unplaced.map(note).join('')}</div>` : ''}
+<h2>Transcript</h2>
+<div class="card"><ol class="transcript">
+${lines.map((line, index) => `<li class="${esc(line.kind)}${marks.has(index) ? ' has-issue' : ''}" style="padding-left:${line.depth * 18}px">${esc(line.text)}${(marks.get(index) || []).map(note).join('')}</li>`).join('\n') || '<li>Nothing is announced on this page.</li>'}
+</ol></div>
+</main></body></html>`;
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, html, 'utf8');
+}
+
+export function writeBatchSummary(reportRoot, manifest, ruleRows, levelCounts, viewportSummary = [], emulationSummary = []) {
   const html = `<!doctype html><html lang="en"><head><meta charset="utf-8"/><meta name="viewport" content="width=device-width, initial-scale=1"/>
 <title>A11y Batch Summary</title>
 <style>
@@ -71,7 +255,7 @@ main{max-width:1280px;margin:0 auto;padding:20px 16px 28px}.grid{display:grid;ga
 .table{overflow:auto;background:#fff;border:1px solid #e5e7eb;border-radius:10px;margin-bottom:14px}table{width:100%;border-collapse:collapse;min-width:900px}th,td{padding:8px 10px;border-bottom:1px solid #e5e7eb;vertical-align:top}th{text-align:left;background:#f1f5f9}
 </style></head><body><main>
 <h1>Accessibility Batch Summary</h1>
-<p>Target: <strong>WCAG AAA</strong> | Generated: ${esc(manifest.generatedAt)} | URL list: <code>${esc(manifest.sourceUrlList)}</code></p>
+<p>Target: <strong>${esc(manifest.target)}</strong> | Generated: ${esc(manifest.generatedAt)} | URL list: <code>${esc(manifest.sourceUrlList)}</code></p>
 <div class="grid">
 <div class="card"><div class="k">Pages Requested</div><div class="v">${manifest.pageCount}</div></div>
 <div class="card"><div class="k">Pages Scanned</div><div class="v">${manifest.results.filter((r) => r.status === 'ok').length}</div></div>
@@ -81,9 +265,11 @@ main{max-width:1280px;margin:0 auto;padding:20px 16px 28px}.grid{display:grid;ga
 <div class="card"><div class="k">AA Issues</div><div class="v">${levelCounts.AA || 0}</div></div>
 <div class="card"><div class="k">AAA Issues</div><div class="v">${levelCounts.AAA || 0}</div></div>
 </div>
-<h2>Pages</h2><div class="table"><table><thead><tr><th>URL</th><th>Status</th><th>Issues</th><th>JSON</th><th>HTML</th></tr></thead><tbody>
-${manifest.results.map((r)=>`<tr><td>${esc(r.url)}</td><td>${esc(r.status)}</td><td>${r.status==='ok'?r.issueCount:'-'}</td><td>${r.jsonFile?`<a href="${esc(r.jsonFile)}">${esc(r.jsonFile)}</a>`:'-'}</td><td>${r.htmlFile?`<a href="${esc(r.htmlFile)}">${esc(r.htmlFile)}</a>`:'-'}</td></tr>`).join('')}
+<h2>Pages</h2><div class="table"><table><thead><tr><th>URL</th><th>Status</th><th>Issues</th><th>JSON</th><th>HTML</th><th>Transcript</th></tr></thead><tbody>
+${manifest.results.map((r)=>`<tr><td>${esc(r.url)}</td><td>${esc(r.status)}</td><td>${r.status==='ok'?r.issueCount:'-'}</td><td>${r.jsonFile?`<a href="${esc(r.jsonFile)}">${esc(r.jsonFile)}</a>`:'-'}</td><td>${r.htmlFile?`<a href="${esc(r.htmlFile)}">${esc(r.htmlFile)}</a>`:'-'}</td><td>${r.transcriptFile?`<a href="${esc(r.transcriptFile)}">${esc(r.transcriptFile)}</a>`:'-'}</td></tr>`).join('')}
 </tbody></table></div>
+${viewportTable(viewportSummary)}
+${emulationTable(emulationSummary)}
 <h2>Top Rules</h2><div class="table"><table><thead><tr><th>Count</th><th>Pages</th><th>WCAG</th><th>SC</th><th>Code</th><th>Message</th></tr></thead><tbody>
 ${ruleRows.map((r)=>`<tr><td>${r.count}</td><td>${r.pageCount}</td><td><span class="badge ${esc(r.level)}">${esc(r.level)}</span></td><td>${esc(r.criterion || '-')}</td><td><code>${esc(r.code)}</code></td><td>${esc(r.message)}</td></tr>`).join('')}
 </tbody></table></div>
@@ -93,3 +279,41 @@ ${ruleRows.map((r)=>`<tr><td>${r.count}</td><td>${r.pageCount}</td><td><span cla
   fs.writeFileSync(summaryFile, html, 'utf8');
   return summaryFile;
 }
+
+export function writeDiffSummary(reportRoot, diff) {
+  const issueRows = (rows, cls) => rows.map((r) => `<tr><td><span class="change ${cls}">${cls}</span></td><td><span class="badge ${esc(r.level)}">${esc(r.level)}</span></td><td>${esc(r.criterion || '-')}</td><td><code>${esc(r.code)}</code></td><td><code>${esc(r.selector || '-')}</code></td><td>${esc(r.message || '-')}</td></tr>`).join('');
+  const changedPages = diff.pages.filter((p) => p.new.length || p.fixed.length);
+
+  const html = `<!doctype html><html lang="en"><head><meta charset="utf-8"/><meta name="viewport" content="width=device-width, initial-scale=1"/>
+<title>A11y Diff Summary</title>
+<style>
+body{margin:0;font-family:ui-sans-serif,system-ui,-apple-system,Segoe UI,Roboto,Arial;background:#f8fafc;color:#111827}
+main{max-width:1280px;margin:0 auto;padding:20px 16px 28px}.grid{display:grid;gap:10px;grid-template-columns:repeat(auto-fit,minmax(160px,1fr));margin-bottom:14px}
+.card{background:#fff;border:1px solid #e5e7eb;border-radius:10px;padding:10px}.k{font-size:12px;color:#6b7280;text-transform:uppercase}.v{font-size:22px;font-weight:700}
+.badge,.change{padding:2px 10px;border-radius:999px;font-size:12px;font-weight:700}.AAA{background:#e0f2fe;color:#0369a1;border:1px solid #bae6fd}.AA{background:#d1fae5;color:#047857;border:1px solid #a7f3d0}.A{background:#ffedd5;color:#b45309;border:1px solid #fed7aa}.Unknown{background:#ede9fe;color:#6d28d9;border:1px solid #ddd6fe}
+.change.new{background:#fee2e2;color:#991b1b;border:1px solid #fca5a5}.change.fixed{background:#dcfce7;color:#166534;border:1px solid #86efac}
+.table{overflow:auto;background:#fff;border:1px solid #e5e7eb;border-radius:10px;margin-bottom:14px}table{width:100%;border-collapse:collapse;min-width:900px}th,td{padding:8px 10px;border-bottom:1px solid #e5e7eb;vertical-align:top}th{text-align:left;background:#f1f5f9}
+</style></head><body><main>
+<h1>Accessibility Diff Summary</h1>
+<p>Before: <code>${esc(diff.before.root)}</code>${diff.before.overall ? ` (${esc(diff.before.overall)})` : ''} | After: <code>${esc(diff.after.root)}</code>${diff.after.overall ? ` (${esc(diff.after.overall)})` : ''} | Generated: ${esc(diff.generatedAt)}</p>
+<div class="grid">
+<div class="card"><div class="k">New Issues</div><div class="v">${diff.totals.new}</div></div>
+<div class="card"><div class="k">Fixed Issues</div><div class="v">${diff.totals.fixed}</div></div>
+<div class="card"><div class="k">Persisting Issues</div><div class="v">${diff.totals.persisting}</div></div>
+<div class="card"><div class="k">Pages Compared</div><div class="v">${diff.pages.length}</div></div>
+<div class="card"><div class="k">Pages Changed</div><div class="v">${changedPages.length}</div></div>
+</div>
+<h2>Pages</h2><div class="table"><table><thead><tr><th>URL</th><th>Before</th><th>After</th><th>New</th><th>Fixed</th><th>Persisting</th></tr></thead><tbody>
+${diff.pages.map((p)=>`<tr><td>${esc(p.url)}</td><td>${esc(p.beforeStatus)}</td><td>${esc(p.afterStatus)}</td><td>${p.new.length}</td><td>${p.fixed.length}</td><td>${p.persisting.length}</td></tr>`).join('')}
+</tbody></table></div>
+<h2>Criteria</h2><div class="table"><table><thead><tr><th>SC</th><th>WCAG</th><th>New</th><th>Fixed</th><th>Persisting</th></tr></thead><tbody>
+${diff.criteria.map((r)=>`<tr><td>${esc(r.criterion || '-')}</td><td><span class="badge ${esc(r.level)}">${esc(r.level)}</span></td><td>${r.new}</td><td>${r.fixed}</td><td>${r.persisting}</td></tr>`).join('') || '<tr><td colspan="5">No issues in either run.</td></tr>'}
+</tbody></table></div>
+<h2>Changes by Page</h2>
+${changedPages.map((p)=>`<h3>${esc(p.url)}</h3><div class="table"><table><thead><tr><th>Change</th><th>WCAG</th><th>SC</th><th>Code</th><th>Selector</th><th>Message</th></tr></thead><tbody>${issueRows(p.new, 'new')}${issueRows(p.fixed, 'fixed')}</tbody></table></div>`).join('') || '<p>No new or fixed issues.</p>'}
+</main></body></html>`;
+
+  const summaryFile = path.join(reportRoot, 'diff.html');
+  fs.writeFileSync(summaryFile, html, 'utf8');
+  return summaryFile;
+}
@@ -1,207 +1,101 @@
 import fs from 'node:fs';
 import path from 'node:path';
-import { spawnSync } from 'node:child_process';
-import { ensureChrome } from '../ensure-browser.mjs';
+import { createScanEngine } from './engine.mjs';
+import { crossPageIssues } from '../consistency-audit.mjs';
+import { positiveInt, runPool } from '../pool.mjs';
 import { ensureDir, slugify, timestampFolder } from '../utils.mjs';
-import { criterionFromCode, wcagLevel } from '../wcag.mjs';
-import { writeBatchSummary, writePageHtmlSummary } from '../report-html.mjs';
+import { criterionFromCode, targetStandardFromLevel, wcagLevel } from '../wcag.mjs';
+import { emulationRows, viewportRows, writeBatchSummary, writePageHtmlSummary, writeTranscriptHtml } from '../report-html.mjs';
 
-function runKeyboardAudit(url, cwd, cacheDir, chromePath) {
-  const script = new URL('../keyboard-audit.mjs', import.meta.url);
-  const result = spawnSync(process.execPath, [script.pathname, url], {
-    encoding: 'utf8',
-    cwd,
-    env: {
-      ...process.env,
-      PUPPETEER_CACHE_DIR: cacheDir,
-      ...(chromePath ? { A11Y_CHROME_PATH: chromePath } : {})
-    }
-  });
-  if (result.status !== 0) return [];
-  const out = (result.stdout || '').trim();
-  if (!out.startsWith('[')) return [];
-  try {
-    return JSON.parse(out);
-  } catch {
-    return [];
-  }
-}
-
-function systemChromePath() {
-  const candidates = process.platform === 'darwin'
-    ? [
-        '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
-        '/Applications/Google Chrome for Testing.app/Contents/MacOS/Google Chrome for Testing'
-      ]
-    : process.platform === 'win32'
-      ? [
-          'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
-          'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe'
-        ]
-      : [
-          '/usr/bin/google-chrome',
-          '/usr/bin/google-chrome-stable',
-          '/usr/bin/chromium-browser',
-          '/usr/bin/chromium'
-        ];
-  for (const candidate of candidates) {
-    if (fs.existsSync(candidate)) return candidate;
-  }
-  return null;
-}
-
-function pa11yInvocation(cwd) {
-  const localBin = path.join(cwd, 'node_modules', '.bin', process.platform === 'win32' ? 'pa11y.cmd' : 'pa11y');
-  if (fs.existsSync(localBin)) {
-    return {
-      command: localBin,
-      args: []
-    };
-  }
-  return {
-    command: process.platform === 'win32' ? 'npx.cmd' : 'npx',
-    args: ['--yes', 'pa11y@9.0.1']
-  };
-}
-
-function runPa11yScan({ runner, url, cfg, cwd, cacheDir, chromePath }) {
-  const buildArgs = (targetUrl) => {
-    const args = [...runner.args, targetUrl, '--reporter', 'json', '--standard', cfg.standard || 'WCAG2AAA', '--timeout', String(cfg.timeout), '--wait', String(cfg.wait)];
-    if (cfg.includeAll || cfg.includeWarnings) args.push('--include-warnings');
-    if (cfg.includeAll || cfg.includeNotices) args.push('--include-notices');
-    if (Array.isArray(cfg.hideElements)) {
-      for (const s of cfg.hideElements) args.push('--hide-elements', s);
-    }
-    return args;
-  };
-
-  const runOnce = (targetUrl, executablePath) => spawnSync(runner.command, buildArgs(targetUrl), {
-    cwd,
-    encoding: 'utf8',
-    env: {
-      ...process.env,
-      PUPPETEER_CACHE_DIR: cacheDir,
-      ...(executablePath ? { PUPPETEER_EXECUTABLE_PATH: executablePath } : {}),
-      PUPPETEER_SKIP_DOWNLOAD: 'true'
-    }
-  });
-
-  const attempts = [];
-  if (chromePath) attempts.push(chromePath);
-  const systemChrome = systemChromePath();
-  if (systemChrome && systemChrome !== chromePath) attempts.push(systemChrome);
-  attempts.push(null);
-
-  const canRetryHttp = /^https:\/\//i.test(url);
-  let last = null;
-
-  for (const attemptPath of attempts) {
-    let usedUrl = url;
-    let run = runOnce(usedUrl, attemptPath);
-    if ((run.stdout || '').trim().startsWith('[')) return { run, usedUrl, usedChromePath: attemptPath };
-
-    const stderr = String(run.stderr || '');
-    const certFailed = /ERR_CERT_AUTHORITY_INVALID/i.test(stderr);
-    if (run.status !== 0 && certFailed && canRetryHttp) {
-      usedUrl = url.replace(/^https:/i, 'http:');
-      run = runOnce(usedUrl, attemptPath);
-      if ((run.stdout || '').trim().startsWith('[')) return { run, usedUrl, usedChromePath: attemptPath };
-    }
-
-    last = { run, usedUrl, usedChromePath: attemptPath };
-    const launchFailed = /Failed to launch the browser process|TROUBLESHOOTING: https:\/\/pptr\.dev\/troubleshooting/i.test(String(run.stderr || ''));
-    if (!launchFailed) {
-      return last;
-    }
-  }
-
-  return last || { run: runOnce(url, null), usedUrl: url, usedChromePath: null };
-}
-
-export async function scanBatch(urls, cfg, sourceLabel = 'urls.txt') {
+export async function scanBatch(listed, cfg, sourceLabel = 'urls.txt') {
   const cwd = cfg.cwd || process.cwd();
-  const cacheDir = path.resolve(cwd, '.cache', 'puppeteer');
-  let chromePath = null;
-  try {
-    chromePath = await ensureChrome(cacheDir);
-  } catch {
-    chromePath = systemChromePath();
-  }
+  // Results, consistency data and transcripts are keyed by URL, so each page is scanned once.
+  const urls = [...new Set(listed)];
+  if (urls.length < listed.length) console.log(`Skipping ${listed.length - urls.length} duplicate URL(s)`);
+  const engine = await createScanEngine(cfg);
 
   const reportRoot = path.resolve(cwd, cfg.outputDir, timestampFolder());
   ensureDir(reportRoot);
-  const used = new Set();
-  const results = [];
+  const target = targetStandardFromLevel(cfg.level || 'AAA');
+  const concurrency = positiveInt(cfg.concurrency, 1);
+  const perHost = positiveInt(cfg.perHostConcurrency, concurrency);
+  const viewports = engine.viewports.map(({ name, width, height }) => ({ name, width, height }));
+  const { emulations } = engine;
 
-  for (const url of urls) {
+  const used = new Set();
+  const slugs = urls.map((url) => {
     const base = slugify(url);
     let slug = base;
     let n = 2;
     while (used.has(slug)) slug = `${base}-${n++}`;
     used.add(slug);
+    return slug;
+  });
 
+  const consistency = new Map();
+  const transcripts = new Map();
+  let finished = 0;
+  async function scanOne(url, index) {
+    const slug = slugs[index];
     const jsonFile = path.join(reportRoot, `${slug}.json`);
     const htmlFile = path.join(reportRoot, `${slug}.html`);
+    const pageFile = path.join(reportRoot, `${slug}.page.json`);
+    const transcriptFile = path.join(reportRoot, `${slug}.transcript.html`);
 
-    const runner = pa11yInvocation(cwd);
-    const { run, usedUrl, usedChromePath } = runPa11yScan({ runner, url, cfg, cwd, cacheDir, chromePath });
+    const { status, issues, actions, pageData } = await engine.scanUrl(url);
+    const { consistency: pageConsistency, transcript, ...storedData } = pageData;
+    if (status === 'ok' && pageConsistency) consistency.set(url, pageConsistency);
+    if (transcript) transcripts.set(url, transcript);
+    fs.writeFileSync(jsonFile, JSON.stringify(issues) + '\n');
+    fs.writeFileSync(pageFile, JSON.stringify(storedData, null, 2) + '\n');
+    if (transcript) writeTranscriptHtml(transcriptFile, url, transcript, issues);
+    writePageHtmlSummary(jsonFile, htmlFile, target, { viewports, emulations, pageFile, transcriptFile: transcript ? transcriptFile : null });
 
-    const stdout = (run.stdout || '').trim();
-    let issues = [];
-    let status = 'ok';
+    finished += 1;
+    console.log(`[${finished}/${urls.length}] ${url} -> ${issues.length} issue(s)`);
 
-    if (stdout.startsWith('[')) {
-      try {
-        issues = JSON.parse(stdout);
-      } catch {
-        issues = [];
-      }
-      const customIssues = runKeyboardAudit(usedUrl, cwd, cacheDir, usedChromePath || chromePath);
-      if (customIssues.length) {
-        const dedupe = new Set(issues.map((i) => `${i.code || ''}::${i.selector || ''}::${i.message || ''}`));
-        for (const issue of customIssues) {
-          const key = `${issue.code || ''}::${issue.selector || ''}::${issue.message || ''}`;
-          if (!dedupe.has(key)) {
-            issues.push(issue);
-            dedupe.add(key);
-          }
-        }
-      }
-      fs.writeFileSync(jsonFile, JSON.stringify(issues) + '\n');
-      writePageHtmlSummary(jsonFile, htmlFile);
-    } else {
-      status = 'error';
-      issues = [{
-        code: 'A11Y.RUNNER.ERROR',
-        type: 'error',
-        typeCode: 1,
-        message: (run.stderr || 'Pa11y did not return JSON output.').trim(),
-        context: `Scan failed for ${usedUrl}`,
-        selector: '',
-        runner: 'pa11y-runner',
-        runnerExtras: { exitStatus: run.status ?? 1 }
-      }];
-      fs.writeFileSync(jsonFile, JSON.stringify(issues) + '\n');
-      writePageHtmlSummary(jsonFile, htmlFile);
-    }
-
-    results.push({
+    return {
       url,
       slug,
       status,
       issueCount: issues.length,
       jsonFile: path.relative(reportRoot, jsonFile),
-      htmlFile: path.relative(reportRoot, htmlFile)
-    });
+      htmlFile: path.relative(reportRoot, htmlFile),
+      pageFile: path.relative(reportRoot, pageFile),
+      ...(transcript ? { transcriptFile: path.relative(reportRoot, transcriptFile) } : {}),
+      ...(actions.length ? { actions } : {})
+    };
+  }
 
-    console.log(`[${results.length}/${urls.length}] ${url} -> ${issues.length} issue(s)`);
+  let results;
+  try {
+    results = await runPool(urls, scanOne, { concurrency, perHost });
+  } finally {
+    await engine.close();
+  }
+
+  // Cross-page findings are appended to each page's JSON before the manifest and summaries read them.
+  const crossPage = crossPageIssues(results.map((r) => ({ url: r.url, data: consistency.get(r.url) })));
+  for (const r of results) {
+    const extra = crossPage.get(r.url) || [];
+    if (!extra.length) continue;
+    const jsonFile = path.join(reportRoot, r.jsonFile);
+    const issues = [...JSON.parse(fs.readFileSync(jsonFile, 'utf8')), ...extra];
+    fs.writeFileSync(jsonFile, JSON.stringify(issues) + '\n');
+    const transcriptFile = r.transcriptFile ? path.join(reportRoot, r.transcriptFile) : null;
+    if (transcriptFile) writeTranscriptHtml(transcriptFile, r.url, transcripts.get(r.url), issues);
+    writePageHtmlSummary(jsonFile, path.join(reportRoot, r.htmlFile), target, { viewports, emulations, pageFile: path.join(reportRoot, r.pageFile), transcriptFile });
+    r.issueCount = issues.length;
   }
 
   const manifest = {
     generatedAt: new Date().toISOString(),
-    target: cfg.standard || 'WCAG2AAA',
+    target,
+    scanStandard: cfg.standard || 'WCAG2AAA',
     sourceUrlList: sourceLabel,
     pageCount: urls.length,
+    ...(viewports.length ? { viewports } : {}),
+    ...(emulations.length ? { emulations } : {}),
     results
   };
 
@@ -210,10 +104,12 @@ export async function scanBatch(urls, cfg, sourceLabel = 'urls.txt') {
 
   const ruleMap = new Map();
   const levelCounts = { AAA: 0, AA: 0, A: 0, Unknown: 0 };
+  const scannedPages = [];
   for (const r of results) {
     if (r.status !== 'ok') continue;
     const abs = path.join(reportRoot, r.jsonFile);
     const issues = JSON.parse(fs.readFileSync(abs, 'utf8'));
+    scannedPages.push({ url: r.url, issues });
     for (const issue of issues) {
       const code = issue.code || 'unknown-code';
       if (!ruleMap.has(code)) {
@@ -237,6 +133,6 @@ export async function scanBatch(urls, cfg, sourceLabel = 'urls.txt') {
     .map((r) => ({ ...r, pageCount: r.pages.size }))
     .sort((a, b) => b.count - a.count);
 
-  const summaryFile = writeBatchSummary(reportRoot, manifest, ruleRows, levelCounts);
+  const summaryFile = writeBatchSummary(reportRoot, manifest, ruleRows, levelCounts, viewportRows(scannedPages, viewports), emulationRows(scannedPages, emulations));
   return { reportRoot, manifestFile, summaryFile };
 }
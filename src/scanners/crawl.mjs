@@ -0,0 +1,123 @@
+import { spawnSync } from 'node:child_process';
+import { isContentUrl } from './xml.mjs';
+import { compilePatterns } from '../utils.mjs';
+
+const TRACKING_PARAMS = /^(utm_[a-z]+|fbclid|gclid|msclkid|mc_cid|mc_eid)$/i;
+const QUERY_MODES = new Set(['keep', 'sort', 'strip']);
+const TRAILER = '\n__A11Y_CRAWL__';
+
+function fetchPage(url, curlArgs) {
+  const result = spawnSync('curl', ['-ksL', '--max-time', '30', ...curlArgs, '-w', `${TRAILER}%{url_effective} %{content_type}`, url], {
+    encoding: 'utf8',
+    maxBuffer: 32 * 1024 * 1024
+  });
+  if (result.status !== 0 || !result.stdout) return null;
+  const at = result.stdout.lastIndexOf(TRAILER);
+  if (at === -1) return null;
+  const [effectiveUrl, ...type] = result.stdout.slice(at + TRAILER.length).split(' ');
+  return {
+    url: effectiveUrl || url,
+    contentType: type.join(' '),
+    html: result.stdout.slice(0, at)
+  };
+}
+
+function decodeEntities(value) {
+  return value
+    .replaceAll('&amp;', '&')
+    .replaceAll('&#38;', '&')
+    .replaceAll('&quot;', '"')
+    .replaceAll('&#39;', "'");
+}
+
+function extractHrefs(html) {
+  const hrefs = [];
+  const re = /<a\b[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+  let match;
+  while ((match = re.exec(html)) !== null) {
+    hrefs.push(decodeEntities((match[1] ?? match[2] ?? match[3] ?? '').trim()));
+  }
+  return hrefs;
+}
+
+function baseHref(html, pageUrl) {
+  const match = html.match(/<base\b[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+  if (!match) return pageUrl;
+  try {
+    return new URL(decodeEntities(match[1] ?? match[2]), pageUrl).toString();
+  } catch {
+    return pageUrl;
+  }
+}
+
+export function normaliseUrl(input, query = 'sort') {
+  const u = new URL(input);
+  u.hash = '';
+  if (query === 'strip') {
+    u.search = '';
+  } else {
+    const params = [...u.searchParams.entries()].filter(([key]) => !TRACKING_PARAMS.test(key));
+    if (query === 'sort') params.sort(([a], [b]) => a.localeCompare(b));
+    u.search = new URLSearchParams(params).toString();
+  }
+  return u.toString();
+}
+
+export function urlsFromCrawl(startUrl, options = {}, curlArgs = []) {
+  const maxDepth = Number.isInteger(Number(options.maxDepth)) ? Number(options.maxDepth) : 3;
+  const maxPages = Number.isInteger(Number(options.maxPages)) ? Number(options.maxPages) : 100;
+  const query = QUERY_MODES.has(options.query) ? options.query : 'sort';
+  const include = compilePatterns(options.include);
+  const exclude = compilePatterns(options.exclude);
+
+  let start;
+  try {
+    start = new URL(normaliseUrl(startUrl, query));
+  } catch {
+    throw new Error(`Invalid crawl start URL: ${startUrl}`);
+  }
+
+  const excluded = (url) => exclude.some((test) => test(url));
+  const included = (url) => !include.length || include.some((test) => test(url));
+
+  const queue = [{ url: start.toString(), depth: 0 }];
+  const queued = new Set([start.toString()]);
+  const pageUrls = [];
+
+  while (queue.length && pageUrls.length < maxPages) {
+    const { url, depth } = queue.shift();
+    const page = fetchPage(url, curlArgs);
+    if (!page || !/html/i.test(page.contentType)) continue;
+
+    let finalUrl;
+    try {
+      finalUrl = normaliseUrl(page.url, query);
+    } catch {
+      continue;
+    }
+    if (new URL(finalUrl).origin !== start.origin) continue;
+
+    if (isContentUrl(finalUrl) && included(finalUrl) && !excluded(finalUrl) && !pageUrls.includes(finalUrl)) {
+      pageUrls.push(finalUrl);
+    }
+    if (depth >= maxDepth) continue;
+
+    const base = baseHref(page.html, page.url);
+    for (const href of extractHrefs(page.html)) {
+      if (!href || /^(mailto|tel|javascript|data):/i.test(href)) continue;
+      let next;
+      try {
+        next = normaliseUrl(new URL(href, base).toString(), query);
+      } catch {
+        continue;
+      }
+      const u = new URL(next);
+      if (u.origin !== start.origin || !/^https?:$/.test(u.protocol)) continue;
+      if (queued.has(next) || !isContentUrl(next) || excluded(next)) continue;
+      queued.add(next);
+      queue.push({ url: next, depth: depth + 1 });
+    }
+  }
+
+  return pageUrls;
+}
@@ -0,0 +1,195 @@
+import path from 'node:path';
+import pa11y from 'pa11y';
+import { actionsForUrl, describeStep, runActions } from '../actions.mjs';
+import { runAriaAudit } from '../aria-audit.mjs';
+import { applySession, prepareSession } from '../auth.mjs';
+import { launchBrowser } from '../ensure-browser.mjs';
+import { runConsistencyExtract } from '../consistency-audit.mjs';
+import { runContrastAudit } from '../contrast-audit.mjs';
+import { applyEmulation, resolveEmulations, runEmulationChecks } from '../emulation-audit.mjs';
+import { runFocusAudit } from '../focus-audit.mjs';
+import { runFormAudit } from '../form-audit.mjs';
+import { runImageAudit } from '../image-audit.mjs';
+import { runInteractionAudit } from '../interaction-audit.mjs';
+import { resolveLinkConfig, runLinkAudit } from '../link-audit.mjs';
+import { runMediaAudit } from '../media-audit.mjs';
+import { annotateIssues, createIssue } from '../page-helpers.mjs';
+import { runStructureAudit } from '../structure-audit.mjs';
+import { runTargetSizeAudit } from '../target-size-audit.mjs';
+import { runTextStressAudit } from '../text-stress-audit.mjs';
+import { markTranscript, readTranscript } from '../transcript.mjs';
+import { instrumentPage, runKeyboardAudit, runTabWalk } from '../keyboard-audit.mjs';
+import { resolveViewports, runOrientationAudit, runReflowAudit } from '../viewport-audit.mjs';
+
+function issueKey(issue) {
+  return `${issue.viewport || ''}::${issue.emulation || ''}::${issue.code || ''}::${issue.selector || ''}::${issue.message || ''}`;
+}
+
+function mergeIssues(issues, customIssues) {
+  const merged = [...issues];
+  const dedupe = new Set(merged.map(issueKey));
+  for (const issue of customIssues) {
+    const key = issueKey(issue);
+    if (!dedupe.has(key)) {
+      merged.push(issue);
+      dedupe.add(key);
+    }
+  }
+  return merged;
+}
+
+function runnerError(error, url) {
+  return createIssue({
+    code: 'A11Y.RUNNER.ERROR',
+    message: String(error && error.message ? error.message : error || 'Scan failed.').trim(),
+    context: `Scan failed for ${url}`,
+    selector: '',
+    runner: 'pa11y-runner',
+    extras: { error: error && error.name ? error.name : 'Error' }
+  });
+}
+
+const DEFAULT_VIEWPORT = { width: 1280, height: 1024 };
+
+function tagIssues(issues, viewport, emulation) {
+  if (!viewport && !emulation) return issues;
+  return issues.map((issue) => ({
+    ...issue,
+    ...(viewport ? { viewport: issue.viewport || viewport.name } : {}),
+    ...(emulation ? { emulation } : {})
+  }));
+}
+
+function pa11yOptions(cfg, browser, page) {
+  return {
+    browser,
+    page,
+    ignoreUrl: true,
+    viewport: page.viewport() || DEFAULT_VIEWPORT,
+    standard: cfg.standard || 'WCAG2AAA',
+    timeout: cfg.timeout,
+    wait: cfg.wait,
+    includeWarnings: Boolean(cfg.includeAll || cfg.includeWarnings),
+    includeNotices: Boolean(cfg.includeAll || cfg.includeNotices),
+    hideElements: Array.isArray(cfg.hideElements) && cfg.hideElements.length ? cfg.hideElements.join(', ') : null
+  };
+}
+
+export async function createScanEngine(cfg) {
+  const cwd = cfg.cwd || process.cwd();
+  const viewports = resolveViewports(cfg);
+  const emulations = resolveEmulations(cfg);
+  const linkLists = resolveLinkConfig(cfg);
+  const browser = await launchBrowser(path.resolve(cwd, '.cache', 'puppeteer'));
+
+  let session;
+  try {
+    session = await prepareSession(browser, cfg);
+  } catch (error) {
+    await browser.close().catch(() => {});
+    throw error;
+  }
+
+  async function scanPass(url, steps, viewport, { firstPass = false, emulation = null } = {}) {
+    const page = await browser.newPage();
+    try {
+      await applySession(page, session);
+      await instrumentPage(page);
+      await applyEmulation(page, emulation);
+      if (viewport) {
+        const { name, ...size } = viewport;
+        await page.setViewport(size);
+      } else {
+        await page.setViewport(DEFAULT_VIEWPORT);
+      }
+      await page.goto(url, { waitUntil: 'networkidle2', timeout: cfg.timeout });
+      await runActions(page, steps, cfg);
+
+      const usedUrl = page.url() || url;
+      const result = await pa11y(usedUrl, pa11yOptions(cfg, browser, page));
+      const customIssues = [
+        ...(await runKeyboardAudit(page)),
+        ...(await runLinkAudit(page, linkLists)),
+        ...(await runTargetSizeAudit(page)),
+        ...(await runContrastAudit(page))
+      ];
+      const tabWalk = await runTabWalk(page);
+      const focusIssues = await runFocusAudit(page);
+      const stressIssues = await runTextStressAudit(page, { zoomFrom: firstPass ? DEFAULT_VIEWPORT : null });
+      const emulationIssues = await runEmulationChecks(page, emulation);
+      const issues = tagIssues(
+        mergeIssues(result.issues || [], [...customIssues, ...tabWalk.issues, ...focusIssues, ...stressIssues, ...emulationIssues]),
+        viewport,
+        emulation
+      );
+      // Structure, ARIA markup, images, media, moving content and hover behaviour do not change between passes, so they are checked once.
+      let outline = null;
+      let consistency = null;
+      let transcript = null;
+      if (firstPass) {
+        const structure = await runStructureAudit(page);
+        outline = structure.outline;
+        // Read before the probes below open menus and show form errors.
+        transcript = await readTranscript(page).catch(() => null);
+        consistency = await runConsistencyExtract(page);
+        const ariaIssues = await runAriaAudit(page);
+        const imageIssues = await runImageAudit(page);
+        const mediaIssues = await runMediaAudit(page);
+        // Measured before the hover and shortcut probes, which can leave dialogs and panels open.
+        const layoutIssues = [...(await runReflowAudit(page)), ...(await runOrientationAudit(page))];
+        const interactionIssues = await runInteractionAudit(page);
+        issues.push(...tagIssues([...structure.issues, ...ariaIssues, ...imageIssues, ...mediaIssues, ...interactionIssues], viewport), ...layoutIssues);
+        // Submitting forms leaves error messages on the page, so this runs last.
+        issues.push(...tagIssues(await runFormAudit(page), viewport));
+      }
+      await annotateIssues(page, issues);
+      await markTranscript(page, transcript, issues).catch(() => {});
+      const focusPath = { viewport: viewport ? viewport.name : null, emulation, ...tabWalk.focusPath };
+      return { status: 'ok', usedUrl, issues, focusPath, outline, consistency, transcript };
+    } catch (error) {
+      return { status: 'error', usedUrl: url, issues: tagIssues([runnerError(error, url)], viewport, emulation) };
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  async function scanUrl(url) {
+    let steps;
+    try {
+      steps = actionsForUrl(cfg, url);
+    } catch (error) {
+      return { status: 'error', usedUrl: url, actions: [], issues: [runnerError(error, url)], pageData: { focusPaths: [], outline: null, consistency: null, transcript: null } };
+    }
+
+    const passes = [];
+    const sizes = viewports.length ? viewports : [null];
+    for (const [index, viewport] of sizes.entries()) {
+      passes.push(await scanPass(url, steps, viewport, { firstPass: index === 0 }));
+    }
+    // Emulation passes rerun the page at the first viewport only.
+    for (const emulation of emulations) {
+      passes.push(await scanPass(url, steps, sizes[0], { emulation }));
+    }
+
+    const ok = passes.find((pass) => pass.status === 'ok');
+    const structured = passes.find((pass) => pass.outline);
+    return {
+      status: passes.every((pass) => pass.status === 'ok') ? 'ok' : 'error',
+      usedUrl: ok ? ok.usedUrl : url,
+      actions: steps.map(describeStep),
+      issues: passes.reduce((all, pass) => mergeIssues(all, pass.issues), []),
+      pageData: {
+        focusPaths: passes.filter((pass) => pass.focusPath).map((pass) => pass.focusPath),
+        outline: structured ? structured.outline : null,
+        consistency: structured ? structured.consistency : null,
+        transcript: structured ? structured.transcript : null
+      }
+    };
+  }
+
+  async function close() {
+    await browser.close().catch(() => {});
+  }
+
+  return { scanUrl, close, viewports, emulations };
+}
@@ -16,7 +16,7 @@ function isSitemapXml(url) {
   return /\.xml($|\?)/i.test(url);
 }
 
-function isContentUrl(url) {
+export function isContentUrl(url) {
   try {
     const u = new URL(url);
     return (
@@ -29,14 +29,14 @@ function isContentUrl(url) {
   }
 }
 
-function fetchXml(source) {
+function fetchXml(source, curlArgs) {
   if (fs.existsSync(source)) return fs.readFileSync(source, 'utf8');
-  const result = spawnSync('curl', ['-ksL', source], { encoding: 'utf8' });
+  const result = spawnSync('curl', ['-ksL', ...curlArgs, source], { encoding: 'utf8' });
   if (result.status !== 0 || !result.stdout) throw new Error(`Failed to fetch XML: ${source}`);
   return result.stdout;
 }
 
-export function urlsFromSitemap(input, baseUrl = '') {
+export function urlsFromSitemap(input, baseUrl = '', curlArgs = []) {
   const source = /^https?:\/\//i.test(input)
     ? input
     : (input.startsWith('/') && baseUrl ? new URL(input, `${baseUrl.replace(/\/+$/, '')}/`).toString() : path.resolve(input));
@@ -48,7 +48,7 @@ export function urlsFromSitemap(input, baseUrl = '') {
     if (visited.has(s)) return;
     visited.add(s);
 
-    const xml = fetchXml(s);
+    const xml = fetchXml(s, curlArgs);
     const locs = extractLocs(xml);
     for (const loc of locs) {
       let abs;
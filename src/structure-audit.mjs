@@ -0,0 +1,304 @@
+import { installPageHelpers, loadAccessibilityTree } from './page-helpers.mjs';
+
+const MAX_FINDINGS = 5;
+// Words of running text after which a stretch of content without a heading is reported under 2.4.10.
+const SECTION_WORD_LIMIT = 600;
+const GENERIC_HEADINGS = ['heading', 'title', 'untitled', 'section', 'header', 'text', 'content', 'more', 'read more', 'click here', 'lorem ipsum', 'new section', 'placeholder'];
+
+function extractStructure(limits) {
+  const { cssPath, cleanText, isVisible, getLabelledByText, accessibleName, createCollector } = window.__a11y;
+  const { issues, push } = createCollector('custom-structure-audit');
+  const generic = new Set(limits.generic);
+  const sectioning = 'article, aside, main, nav, section, [role="article"], [role="complementary"], [role="main"], [role="navigation"], [role="region"]';
+  const headingSelector = 'h1, h2, h3, h4, h5, h6, [role="heading"]';
+  // Repeated page chrome is left out of the word counts between headings.
+  const chrome = 'nav, aside, [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], body > header, body > footer';
+  const skipped = 'script, style, noscript, template';
+
+  // Visually hidden (clipped) elements still count; display:none, visibility:hidden and aria-hidden do not.
+  function exposed(el) {
+    if (el.closest('[aria-hidden="true"], [inert]')) return false;
+    return el.checkVisibility({ visibilityProperty: true });
+  }
+
+  function landmarkName(el) {
+    return getLabelledByText(el) || cleanText(el.getAttribute('aria-label')) || cleanText(el.getAttribute('title'));
+  }
+
+  function landmarkRole(el) {
+    const explicit = cleanText(el.getAttribute('role')).toLowerCase().split(' ')[0];
+    const named = Boolean(landmarkName(el));
+    if (explicit) {
+      if ((explicit === 'region' || explicit === 'form') && !named) return null;
+      return ['banner', 'complementary', 'contentinfo', 'form', 'main', 'navigation', 'region', 'search'].includes(explicit) ? explicit : null;
+    }
+    const tag = el.tagName.toLowerCase();
+    if (tag === 'main') return 'main';
+    if (tag === 'nav') return 'navigation';
+    if (tag === 'aside') return 'complementary';
+    if (tag === 'search') return 'search';
+    if (tag === 'header' && !el.parentElement.closest(sectioning)) return 'banner';
+    if (tag === 'footer' && !el.parentElement.closest(sectioning)) return 'contentinfo';
+    if ((tag === 'section' || tag === 'form') && named) return tag === 'section' ? 'region' : 'form';
+    return null;
+  }
+
+  function headingLevel(el) {
+    const match = el.tagName.match(/^H([1-6])$/);
+    if (el.getAttribute('role') === 'heading') return Math.min(Math.max(Number(el.getAttribute('aria-level')) || 2, 1), 9);
+    return match ? Number(match[1]) : null;
+  }
+
+  // Walk the DOM in order, nesting landmarks inside landmarks and headings under the last lower-level heading.
+  const root = { children: [] };
+  const headings = [];
+  const landmarks = [];
+  const stack = [{ node: root, element: document.body, headings: [] }];
+  const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_ELEMENT);
+  for (let el = walker.currentNode; el; el = walker.nextNode()) {
+    while (stack.length > 1 && !stack[stack.length - 1].element.contains(el)) stack.pop();
+    if (el === document.body || !exposed(el)) continue;
+    const frame = stack[stack.length - 1];
+
+    const role = landmarkRole(el);
+    if (role) {
+      const item = { type: 'landmark', role, name: landmarkName(el).slice(0, 120), selector: cssPath(el), flags: [], children: [] };
+      frame.node.children.push(item);
+      landmarks.push({ el, item });
+      stack.push({ node: item, element: el, headings: [] });
+      continue;
+    }
+
+    const level = headingLevel(el);
+    if (level) {
+      const text = accessibleName(el);
+      const item = { type: 'heading', level, text: text.slice(0, 160), selector: cssPath(el), flags: [], children: [] };
+      while (frame.headings.length && frame.headings[frame.headings.length - 1].level >= level) frame.headings.pop();
+      const parent = frame.headings.length ? frame.headings[frame.headings.length - 1].item : frame.node;
+      parent.children.push(item);
+      frame.headings.push({ level, item });
+      headings.push({ el, item });
+    }
+  }
+
+  const flag = (item, text) => item.flags.push(text);
+
+  // Heading outline.
+  const h1s = headings.filter(({ item }) => item.level === 1);
+  if (!h1s.length) {
+    push({
+      code: 'WCAG2A.Principle1.Guideline1_3.1_3_1.H42.MissingH1',
+      type: 'warning',
+      message: headings.length ? 'Page has headings but no level 1 heading.' : 'Page has no headings.',
+      selector: 'html',
+      context: `${headings.length} heading(s) found`,
+      criterion: '1.3.1'
+    });
+  } else if (h1s.length > 1) {
+    for (const { item } of h1s.slice(1)) flag(item, 'additional h1');
+    push({
+      code: 'WCAG2A.Principle1.Guideline1_3.1_3_1.H42.MultipleH1',
+      type: 'warning',
+      message: `Page has ${h1s.length} level 1 headings.`,
+      selector: h1s[1].item.selector,
+      context: h1s.map(({ item }) => `"${item.text}"`).slice(0, 5).join(', '),
+      criterion: '1.3.1'
+    });
+  }
+
+  let previous = 0;
+  let jumps = 0;
+  for (const { item } of headings) {
+    if (previous && item.level > previous + 1 && jumps < limits.max) {
+      jumps += 1;
+      flag(item, `skips from h${previous}`);
+      push({
+        code: 'WCAG2A.Principle1.Guideline1_3.1_3_1.H42.SkippedLevel',
+        type: 'warning',
+        message: `Heading level jumps from ${previous} to ${item.level}.`,
+        selector: item.selector,
+        context: `h${item.level}: "${item.text}"`,
+        criterion: '1.3.1'
+      });
+    }
+    previous = item.level;
+  }
+
+  for (const { el, item } of headings) {
+    if (!item.text) {
+      flag(item, 'empty');
+      push({
+        code: 'WCAG2AA.Principle2.Guideline2_4.2_4_6.G130.Empty',
+        message: 'Heading has no text.',
+        selector: item.selector,
+        context: el.outerHTML.slice(0, 160),
+        criterion: '2.4.6'
+      });
+    } else if (generic.has(item.text.toLowerCase().replace(/[.:!?…]+$/, '')) || /^[\d\s\p{P}\p{S}]+$/u.test(item.text)) {
+      flag(item, 'generic text');
+      push({
+        code: 'WCAG2AA.Principle2.Guideline2_4.2_4_6.G130.Generic',
+        type: 'warning',
+        message: 'Heading text does not describe the section it introduces.',
+        selector: item.selector,
+        context: `h${item.level}: "${item.text}"`,
+        criterion: '2.4.6'
+      });
+    }
+  }
+
+  // Headings that share a parent and level with the same text do not tell their sections apart.
+  function siblingDuplicates(node) {
+    const seen = new Map();
+    for (const child of node.children) {
+      if (child.type === 'heading' && child.text) {
+        const key = `${child.level}::${child.text.toLowerCase()}`;
+        if (seen.has(key)) {
+          flag(child, 'duplicate of sibling');
+          push({
+            code: 'WCAG2AA.Principle2.Guideline2_4.2_4_6.G130.Duplicate',
+            type: 'warning',
+            message: 'Sibling headings have identical text, so their sections cannot be told apart.',
+            selector: child.selector,
+            context: `h${child.level}: "${child.text}" also at ${seen.get(key)}`,
+            criterion: '2.4.6'
+          });
+        } else {
+          seen.set(key, child.selector);
+        }
+      }
+      siblingDuplicates(child);
+    }
+  }
+  siblingDuplicates(root);
+
+  // Words of text between headings, used for empty sections and long unheaded stretches.
+  const textWalker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_TEXT);
+  const counts = new Map([[null, 0]]);
+  let current = null;
+  const headingEls = new Map(headings.map(({ el, item }) => [el, item]));
+  const order = [];
+  for (let node = textWalker.nextNode(); node; node = textWalker.nextNode()) {
+    const parent = node.parentElement;
+    if (!parent || parent.closest(skipped) || parent.closest(chrome) || !cleanText(node.textContent) || !exposed(parent)) continue;
+    const owner = parent.closest(headingSelector);
+    if (owner && headingEls.has(owner)) {
+      if (current !== headingEls.get(owner)) {
+        current = headingEls.get(owner);
+        order.push(current);
+        counts.set(current, 0);
+      }
+      continue;
+    }
+    const words = cleanText(node.textContent).split(' ').filter(Boolean).length;
+    counts.set(current, counts.get(current) + words);
+  }
+
+  for (let i = 0; i < order.length - 1; i += 1) {
+    const item = order[i];
+    const next = order[i + 1];
+    if (item.text && counts.get(item) === 0 && next.level <= item.level) {
+      flag(item, 'empty section');
+      push({
+        code: 'WCAG2AA.Principle2.Guideline2_4.2_4_6.G130.EmptySection',
+        type: 'warning',
+        message: 'Heading is followed directly by another heading of the same or higher rank, so it introduces no content.',
+        selector: item.selector,
+        context: `h${item.level}: "${item.text}" followed by h${next.level}: "${next.text}"`,
+        criterion: '2.4.6'
+      });
+    }
+  }
+
+  let long = 0;
+  for (const [item, words] of counts) {
+    if (words <= limits.sectionWords || long >= limits.max) continue;
+    long += 1;
+    if (item) flag(item, `${words} words without a subheading`);
+    push({
+      code: 'WCAG2AAA.Principle2.Guideline2_4.2_4_10.G141',
+      type: 'warning',
+      message: item
+        ? `Section under this heading runs for ${words} words without a subheading.`
+        : `${words} words of content appear before the first heading.`,
+      selector: item ? item.selector : 'body',
+      context: item ? `h${item.level}: "${item.text}"` : 'Content before the first heading',
+      criterion: '2.4.10',
+      extras: { words }
+    });
+  }
+
+  // Landmarks.
+  const groups = new Map();
+  for (const { item } of landmarks) {
+    const key = `${item.role}::${item.name.toLowerCase()}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  for (const [, items] of groups) {
+    if (items.length < 2) continue;
+    const { role, name } = items[0];
+    for (const item of items) flag(item, name ? 'duplicate label' : 'unlabelled duplicate');
+    push({
+      code: 'WCAG2A.Principle1.Guideline1_3.1_3_1.ARIA11.DuplicateLandmark',
+      type: ['main', 'banner', 'contentinfo'].includes(role) ? 'error' : 'warning',
+      message: ['main', 'banner', 'contentinfo'].includes(role)
+        ? `Page has ${items.length} ${role} landmarks.`
+        : `${items.length} ${role} landmarks share ${name ? `the label "${name}"` : 'no label'}, so they cannot be told apart.`,
+      selector: items[1].selector,
+      context: items.map((item) => item.selector).slice(0, 5).join(', '),
+      criterion: '1.3.1'
+    });
+  }
+
+  if (!landmarks.some(({ item }) => item.role === 'main')) {
+    push({
+      code: 'WCAG2A.Principle1.Guideline1_3.1_3_1.ARIA11.MissingMain',
+      type: 'warning',
+      message: 'Page has no main landmark.',
+      selector: 'html',
+      context: `${landmarks.length} landmark(s) found`,
+      criterion: '1.3.1'
+    });
+  }
+
+  // Content outside landmarks, reported once per top-level block.
+  if (landmarks.length) {
+    const landmarkEls = landmarks.map(({ el }) => el);
+    const reported = new Set();
+    const outsideWalker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_TEXT);
+    for (let node = outsideWalker.nextNode(); node && reported.size < limits.max; node = outsideWalker.nextNode()) {
+      const parent = node.parentElement;
+      if (!cleanText(node.textContent) || !parent || parent.closest(skipped) || !isVisible(parent)) continue;
+      // Skip links sit before the banner by design.
+      if (landmarkEls.some((el) => el.contains(parent)) || parent.closest('a[href^="#"]')) continue;
+      let block = parent;
+      while (block.parentElement && block.parentElement !== document.body && !landmarkEls.some((el) => block.parentElement.contains(el))) block = block.parentElement;
+      if (reported.has(block)) continue;
+      reported.add(block);
+      push({
+        code: 'WCAG2A.Principle1.Guideline1_3.1_3_1.ARIA11.OutsideLandmark',
+        type: 'warning',
+        message: 'Content is outside any landmark region.',
+        selector: cssPath(block),
+        context: `"${cleanText(block.textContent).slice(0, 100)}"`,
+        criterion: '1.3.1'
+      });
+    }
+  }
+
+  return {
+    issues,
+    outline: {
+      headingCount: headings.length,
+      landmarkCount: landmarks.length,
+      tree: root.children
+    }
+  };
+}
+
+export async function runStructureAudit(page) {
+  await installPageHelpers(page);
+  await loadAccessibilityTree(page);
+  return page.evaluate(extractStructure, { max: MAX_FINDINGS, sectionWords: SECTION_WORD_LIMIT, generic: GENERIC_HEADINGS });
+}
@@ -0,0 +1,99 @@
+import { installPageHelpers } from './page-helpers.mjs';
+
+const MINIMUM = 24;
+const ENHANCED = 44;
+
+export async function runTargetSizeAudit(page) {
+  await installPageHelpers(page);
+  return page.evaluate((minimum, enhanced) => {
+    const { cssPath, cleanText, isVisible, isInteractive, describeNode, focusables, createCollector } = window.__a11y;
+    const { issues, push } = createCollector('custom-target-size-audit');
+
+    function isInlineInText(el) {
+      const isLink = el.tagName === 'A' || cleanText(el.getAttribute('role')).toLowerCase() === 'link';
+      if (!isLink || window.getComputedStyle(el).display !== 'inline') return false;
+      const block = el.parentElement;
+      if (!block) return false;
+      return cleanText(block.textContent).length > cleanText(el.textContent).length;
+    }
+
+    function isUserAgentControl(el) {
+      if (el.tagName !== 'INPUT') return false;
+      const type = String(el.type || '').toLowerCase();
+      return ['checkbox', 'radio'].includes(type) && window.getComputedStyle(el).appearance !== 'none';
+    }
+
+    const targets = [];
+    const seen = new Set();
+    for (const el of focusables()) {
+      if (seen.has(el) || !isVisible(el) || !isInteractive(el)) continue;
+      seen.add(el);
+      const rect = el.getBoundingClientRect();
+      targets.push({
+        el,
+        rect,
+        cx: rect.left + rect.width / 2,
+        cy: rect.top + rect.height / 2,
+        exempt: isInlineInText(el) || isUserAgentControl(el)
+      });
+    }
+
+    const related = (a, b) => a.el.contains(b.el) || b.el.contains(a.el);
+    const small = (t) => t.rect.width < minimum || t.rect.height < minimum;
+
+    function distanceToRect(x, y, rect) {
+      const dx = Math.max(rect.left - x, 0, x - rect.right);
+      const dy = Math.max(rect.top - y, 0, y - rect.bottom);
+      return Math.hypot(dx, dy);
+    }
+
+    // Spacing exception: a 24px circle centred on an undersized target must not
+    // touch another target or the circle of another undersized target.
+    function spacingConflict(target) {
+      let nearest = null;
+      for (const other of targets) {
+        if (other === target || related(target, other)) continue;
+        const distance = small(other)
+          ? Math.hypot(target.cx - other.cx, target.cy - other.cy) - minimum
+          : distanceToRect(target.cx, target.cy, other.rect) - minimum / 2;
+        if (distance < 0 && (!nearest || distance < nearest.distance)) nearest = { other, distance };
+      }
+      return nearest;
+    }
+
+    for (const target of targets) {
+      if (target.exempt) continue;
+      const width = Math.round(target.rect.width * 10) / 10;
+      const height = Math.round(target.rect.height * 10) / 10;
+      const selector = cssPath(target.el);
+      const size = `${width}x${height} CSS px`;
+
+      if (small(target)) {
+        const conflict = spacingConflict(target);
+        if (conflict) {
+          push({
+            code: 'WCAG2AA.Principle2.Guideline2_5.2_5_8.C42',
+            message: `Target is smaller than ${minimum}x${minimum} CSS px and too close to other targets for the spacing exception.`,
+            selector,
+            context: `Element: ${describeNode(target.el)}; target ${size}; ${minimum}px circle overlaps ${describeNode(conflict.other.el)} (${cssPath(conflict.other.el)})`,
+            criterion: '2.5.8',
+            extras: { width, height, minimum }
+          });
+        }
+      }
+
+      if (target.rect.width < enhanced || target.rect.height < enhanced) {
+        push({
+          code: 'WCAG2AAA.Principle2.Guideline2_5.2_5_5.C42',
+          message: `Target is smaller than ${enhanced}x${enhanced} CSS px.`,
+          selector,
+          context: `Element: ${describeNode(target.el)}; target ${size}`,
+          criterion: '2.5.5',
+          extras: { width, height, minimum: enhanced }
+        });
+      }
+    }
+
+    return issues;
+  }, MINIMUM, ENHANCED);
+}
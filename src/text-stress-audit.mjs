@@ -0,0 +1,168 @@
+import { installPageHelpers } from './page-helpers.mjs';
+import { withViewport } from './viewport-audit.mjs';
+
+// The text-spacing overrides from WCAG 1.4.12.
+const TEXT_SPACING_CSS = '*{line-height:1.5!important;letter-spacing:0.12em!important;word-spacing:0.16em!important}p{margin-bottom:2em!important}';
+const MAX_FINDINGS = 10;
+
+const MODES = {
+  spacing: {
+    code: 'WCAG2AA.Principle1.Guideline1_4.1_4_12.F104',
+    criterion: '1.4.12',
+    label: 'with WCAG text spacing applied'
+  },
+  zoom: {
+    code: 'WCAG2AA.Principle1.Guideline1_4.1_4_4.F69',
+    criterion: '1.4.4',
+    label: 'at 200% zoom'
+  }
+};
+
+function measureLayout(key) {
+  const { isVisible } = window.__a11y;
+  const root = document.scrollingElement || document.documentElement;
+  const state = new Map();
+  if (!document.body) return 0;
+
+  for (const el of document.body.querySelectorAll('*')) {
+    if (el.closest('svg, script, style, noscript, template') || !isVisible(el)) continue;
+    const hasOwnText = Array.from(el.childNodes).some((node) => node.nodeType === 3 && node.textContent.trim());
+    const style = window.getComputedStyle(el);
+    const clips = ['hidden', 'clip'].includes(style.overflowX) || ['hidden', 'clip'].includes(style.overflowY);
+    if (!hasOwnText && !clips) continue;
+
+    const rect = el.getBoundingClientRect();
+    const entry = {
+      clipped: clips && el.textContent.trim() !== '' && (el.scrollHeight - el.clientHeight > 2 || el.scrollWidth - el.clientWidth > 2),
+      scrollHeight: el.scrollHeight,
+      clientHeight: el.clientHeight,
+      scrollWidth: el.scrollWidth,
+      clientWidth: el.clientWidth,
+      unreachable: rect.left + window.scrollX < -1 || rect.right + window.scrollX > root.scrollWidth + 1,
+      text: null
+    };
+    if (hasOwnText) {
+      const range = document.createRange();
+      range.selectNodeContents(el);
+      const box = range.getBoundingClientRect();
+      entry.text = { left: box.left, right: box.right, top: box.top, bottom: box.bottom };
+    }
+    state.set(el, entry);
+  }
+
+  window.__a11yLayout = window.__a11yLayout || {};
+  window.__a11yLayout[key] = state;
+  return state.size;
+}
+
+function compareLayout(mode) {
+  const { cssPath, cleanText, describeNode, createCollector } = window.__a11y;
+  const { issues, push } = createCollector('custom-text-stress-audit');
+  const baseline = window.__a11yLayout.baseline;
+  const current = window.__a11yLayout[mode.key];
+  const quote = (el) => `"${cleanText(el.textContent).slice(0, 60)}"`;
+
+  function overlaps(a, b) {
+    const width = Math.min(a.right, b.right) - Math.max(a.left, b.left);
+    const height = Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top);
+    return width > 2 && height > 2;
+  }
+
+  let clipped = 0;
+  let unreachable = 0;
+  for (const [el, now] of current) {
+    const before = baseline.get(el);
+    if (!before) continue;
+    if (now.clipped && !before.clipped && clipped < mode.max) {
+      clipped += 1;
+      push({
+        code: mode.code,
+        message: `Text is clipped by its container ${mode.label}.`,
+        selector: cssPath(el),
+        context: `Element: ${describeNode(el)}; content ${now.scrollWidth}x${now.scrollHeight}px in a ${now.clientWidth}x${now.clientHeight}px box with overflow hidden`,
+        criterion: mode.criterion,
+        extras: { check: 'clipped', scrollHeight: now.scrollHeight, clientHeight: now.clientHeight }
+      });
+    }
+    if (now.unreachable && !before.unreachable && unreachable < mode.max) {
+      unreachable += 1;
+      push({
+        code: mode.code,
+        message: `Content is pushed outside the page area where it cannot be scrolled to ${mode.label}.`,
+        selector: cssPath(el),
+        context: `Element: ${describeNode(el)}`,
+        criterion: mode.criterion,
+        extras: { check: 'outside-viewport' }
+      });
+    }
+  }
+
+  const texts = [...current.entries()].filter(([el, now]) => now.text && baseline.get(el) && baseline.get(el).text).slice(0, 800);
+  let overlapping = 0;
+  for (let i = 0; i < texts.length && overlapping < mode.max; i += 1) {
+    const [a, nowA] = texts[i];
+    for (let j = i + 1; j < texts.length && overlapping < mode.max; j += 1) {
+      const [b, nowB] = texts[j];
+      if (a.contains(b) || b.contains(a)) continue;
+      if (!overlaps(nowA.text, nowB.text) || overlaps(baseline.get(a).text, baseline.get(b).text)) continue;
+      overlapping += 1;
+      push({
+        code: mode.code,
+        message: `Text overlaps other text ${mode.label}.`,
+        selector: cssPath(a),
+        context: `${quote(a)} overlaps ${quote(b)} (${cssPath(b)})`,
+        criterion: mode.criterion,
+        extras: { check: 'overlap', overlaps: cssPath(b) }
+      });
+    }
+  }
+
+  return issues;
+}
+
+function setSpacing(css) {
+  let style = document.querySelector('style[data-a11y-text-spacing]');
+  if (!css) {
+    if (style) style.remove();
+    return;
+  }
+  if (!style) {
+    style = document.createElement('style');
+    style.setAttribute('data-a11y-text-spacing', '');
+    document.head.append(style);
+  }
+  style.textContent = css;
+}
+
+// Text spacing is checked at every viewport; the 1.4.4 zoom check only needs one run at desktop size (zoomFrom).
+export async function runTextStressAudit(page, { zoomFrom = null } = {}) {
+  await installPageHelpers(page);
+  await page.evaluate(measureLayout, 'baseline');
+  const issues = [];
+
+  try {
+    await page.evaluate(setSpacing, TEXT_SPACING_CSS);
+    await page.evaluate(measureLayout, 'spacing');
+    issues.push(...(await page.evaluate(compareLayout, { ...MODES.spacing, key: 'spacing', max: MAX_FINDINGS })));
+  } finally {
+    await page.evaluate(setSpacing, null);
+  }
+
+  if (zoomFrom) {
+    // Halving the CSS viewport at twice the device scale is what 200% browser zoom does.
+    const { width, height, deviceScaleFactor = 1 } = zoomFrom;
+    const zoomed = { width: Math.round(width / 2), height: Math.round(height / 2), deviceScaleFactor: deviceScaleFactor * 2 };
+    issues.push(...(await withViewport(page, { width, height, deviceScaleFactor }, async () => {
+      await page.evaluate(measureLayout, 'baseline');
+      return withViewport(page, zoomed, async () => {
+        await page.evaluate(measureLayout, 'zoom');
+        return page.evaluate(compareLayout, { ...MODES.zoom, key: 'zoom', max: MAX_FINDINGS });
+      });
+    })));
+  }
+
+  await page.evaluate(() => {
+    delete window.__a11yLayout;
+  });
+  return issues;
+}
@@ -0,0 +1,191 @@
+import { elementPaths, installPageHelpers } from './page-helpers.mjs';
+
+const MAX_LINES = 3000;
+const LANDMARKS = new Set(['banner', 'navigation', 'main', 'contentinfo', 'complementary', 'region', 'search', 'form']);
+const CONTAINERS = new Set(['list', 'table', 'grid', 'treegrid', 'tree', 'dialog', 'alertdialog', 'figure', 'tablist', 'menu', 'menubar', 'listbox', 'radiogroup', 'toolbar']);
+// Announced as one line with their name; their text content is not read again.
+const LEAVES = new Set([
+  'link', 'button', 'image', 'img', 'checkbox', 'radio', 'switch', 'textbox', 'searchbox', 'combobox', 'slider', 'spinbutton',
+  'progressbar', 'meter', 'tab', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'treeitem', 'PopUpButton', 'separator'
+]);
+const SKIPPED = new Set(['InlineTextBox', 'ListMarker', 'LineBreak']);
+const SPOKEN_ROLES = {
+  image: 'image',
+  img: 'image',
+  textbox: 'edit text',
+  searchbox: 'search edit text',
+  combobox: 'combo box',
+  PopUpButton: 'pop-up button',
+  checkbox: 'check box',
+  radio: 'radio button',
+  menuitem: 'menu item',
+  menuitemcheckbox: 'menu item check box',
+  menuitemradio: 'menu item radio button',
+  treeitem: 'tree item',
+  progressbar: 'progress bar',
+  spinbutton: 'spin button',
+  contentinfo: 'content info',
+  alertdialog: 'alert dialog',
+  tablist: 'tab list',
+  menubar: 'menu bar',
+  listbox: 'list box',
+  radiogroup: 'radio group',
+  treegrid: 'tree grid',
+  toolbar: 'tool bar'
+};
+
+const clean = (value) => String(value == null ? '' : value).replace(/\s+/g, ' ').trim();
+
+function property(node, name) {
+  const found = (node.properties || []).find((prop) => prop.name === name);
+  return found && found.value ? found.value.value : undefined;
+}
+
+function spokenStates(node) {
+  const states = [];
+  const is = (value) => value === true || value === 'true';
+  const expanded = property(node, 'expanded');
+  if (expanded !== undefined) states.push(is(expanded) ? 'expanded' : 'collapsed');
+  const checked = property(node, 'checked');
+  if (checked !== undefined) states.push(checked === 'mixed' ? 'partially checked' : is(checked) ? 'checked' : 'not checked');
+  const pressed = property(node, 'pressed');
+  if (pressed !== undefined) states.push(pressed === 'mixed' ? 'partially pressed' : is(pressed) ? 'pressed' : 'not pressed');
+  if (is(property(node, 'selected'))) states.push('selected');
+  if (is(property(node, 'disabled'))) states.push('unavailable');
+  if (is(property(node, 'required'))) states.push('required');
+  const invalid = property(node, 'invalid');
+  if (invalid !== undefined && invalid !== 'false' && invalid !== false) states.push('invalid entry');
+  return states;
+}
+
+// Walks Chrome's tree in document order and turns it into the lines a screen reader would speak.
+function readLines(nodes, paths) {
+  const byId = new Map(nodes.map((node) => [node.nodeId, node]));
+  const root = nodes.find((node) => !node.parentId) || nodes[0];
+  const lines = [];
+  let truncated = false;
+
+  function push(line) {
+    if (lines.length >= MAX_LINES) {
+      truncated = true;
+      return;
+    }
+    lines.push(line);
+  }
+
+  function visit(node, depth, owner) {
+    if (!node || truncated) return;
+    const path = paths.get(node.backendDOMNodeId);
+    const here = path ? path.key : owner;
+    const role = (node.role && node.role.value) || '';
+    const name = clean(node.name && node.name.value);
+    const children = (childDepth) => (node.childIds || []).forEach((id) => visit(byId.get(id), childDepth, here));
+
+    if (node.ignored || SKIPPED.has(role)) {
+      children(depth);
+      return;
+    }
+
+    if (role === 'StaticText') {
+      if (!name) return;
+      const previous = lines[lines.length - 1];
+      if (previous && previous.kind === 'text' && previous.path === here && previous.depth === depth) previous.text += ` ${name}`;
+      else push({ kind: 'text', depth, text: name, path: here });
+      return;
+    }
+
+    const spoken = SPOKEN_ROLES[role] || role;
+    const states = spokenStates(node);
+    const value = clean(node.value && node.value.value);
+
+    if (role === 'heading') {
+      push({ kind: 'node', depth, role, text: [`heading level ${property(node, 'level') || 2}`, name, ...states].filter(Boolean).join(', '), path: here });
+      return;
+    }
+
+    if (LEAVES.has(role)) {
+      const parts = [name, spoken, value && value !== name ? value : '', ...states];
+      push({ kind: 'node', depth, role, text: parts.filter(Boolean).join(', '), path: here });
+      return;
+    }
+
+    if (LANDMARKS.has(role) || CONTAINERS.has(role)) {
+      const landmark = LANDMARKS.has(role);
+      const items = role === 'list' ? (node.childIds || []).filter((id) => ((byId.get(id) || {}).role || {}).value === 'listitem').length : 0;
+      const label = landmark ? `${spoken} landmark` : spoken;
+      const parts = [label, name, items ? `${items} item${items === 1 ? '' : 's'}` : '', ...states];
+      push({ kind: 'start', depth, role, text: parts.filter(Boolean).join(', '), path: here });
+      children(depth + 1);
+      push({ kind: 'end', depth, role, text: `end of ${label}`, path: here });
+      return;
+    }
+
+    children(role === 'listitem' ? depth + 1 : depth);
+  }
+
+  visit(root, 0, '');
+  return { lines, truncated };
+}
+
+// Keeps the elements behind the lines, since later probes can insert nodes and shift the selectors.
+function selectorsForPaths(keys) {
+  const { cssPath, elementAtPath } = window.__a11y;
+  window.__a11yTranscriptLines = new WeakMap();
+  return keys.map((key) => {
+    const el = elementAtPath(key);
+    if (!el) return '';
+    const selector = cssPath(el);
+    window.__a11yTranscriptLines.set(el, selector);
+    return selector;
+  });
+}
+
+export async function readTranscript(page) {
+  await installPageHelpers(page);
+  const client = await page.createCDPSession();
+  try {
+    const { root } = await client.send('DOM.getDocument', { depth: -1, pierce: true });
+    const paths = elementPaths(root);
+    const { nodes } = await client.send('Accessibility.getFullAXTree');
+    const { lines, truncated } = readLines(nodes, paths);
+    const keys = [...new Set(lines.map((line) => line.path).filter(Boolean))];
+    const selectors = await page.evaluate(selectorsForPaths, keys);
+    const bySelector = new Map(keys.map((key, index) => [key, selectors[index]]));
+    return {
+      lines: lines.map(({ path, ...line }) => ({ ...line, selector: bySelector.get(path) || '' })),
+      truncated,
+      aliases: {}
+    };
+  } finally {
+    await client.detach().catch(() => {});
+  }
+}
+
+// Issue selectors come from pa11y and several checks in different formats; map each to the selector the
+// transcript line for the same element, or the closest ancestor that has one, was read with.
+function matchIssueSelectors(selectors) {
+  const lines = window.__a11yTranscriptLines || new WeakMap();
+  return selectors.map((selector) => {
+    let el = null;
+    try {
+      el = document.querySelector(selector);
+    } catch {
+      return '';
+    }
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      if (lines.has(node)) return lines.get(node);
+    }
+    return '';
+  });
+}
+
+export async function markTranscript(page, transcript, issues) {
+  if (!transcript) return transcript;
+  const selectors = [...new Set(issues.map((item) => item.selector).filter(Boolean))];
+  if (!selectors.length) return transcript;
+  const matched = await page.evaluate(matchIssueSelectors, selectors);
+  selectors.forEach((selector, index) => {
+    if (matched[index] && matched[index] !== selector) transcript.aliases[selector] = matched[index];
+  });
+  return transcript;
+}
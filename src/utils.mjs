@@ -28,6 +28,51 @@ export function readUrlList(filePath) {
     .filter((line) => line && !line.startsWith('#'));
 }
 
+export function writeUrlList(cwd, urls) {
+  const urlListDir = path.resolve(cwd, '.a11y-scanner');
+  fs.mkdirSync(urlListDir, { recursive: true });
+  const urlListFile = path.join(urlListDir, `urls-${Date.now()}.txt`);
+  fs.writeFileSync(urlListFile, `${urls.join('\n')}\n`, 'utf8');
+  return urlListFile;
+}
+
+function globToRegExp(glob) {
+  let out = '';
+  for (let i = 0; i < glob.length; i += 1) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      out += '.*';
+      i += 1;
+    } else if (ch === '*') {
+      out += '[^/]*';
+    } else if (ch === '?') {
+      out += '.';
+    } else {
+      out += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${out}$`, 'i');
+}
+
+export function compilePattern(pattern) {
+  const source = String(pattern);
+  const regex = source.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    const re = new RegExp(regex[1], regex[2]);
+    return (url) => re.test(url);
+  }
+  const re = globToRegExp(source);
+  return (url) => {
+    const u = new URL(url);
+    return re.test(`${u.pathname}${u.search}`);
+  };
+}
+
+export function compilePatterns(value) {
+  const list = Array.isArray(value) ? value : value ? [value] : [];
+  return list.map(compilePattern);
+}
+
 export function esc(value) {
   return String(value ?? '')
     .replaceAll('&', '&amp;')
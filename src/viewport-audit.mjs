@@ -0,0 +1,177 @@
+import { createIssue, installPageHelpers } from './page-helpers.mjs';
+
+const REFLOW_WIDTH = 320;
+const REFLOW_HEIGHT = 256;
+
+const ORIENTATIONS = [
+  { name: 'portrait', width: 390, height: 844, isLandscape: false },
+  { name: 'landscape', width: 844, height: 390, isLandscape: true }
+];
+
+export const LAYOUT_VIEWPORTS = [
+  { name: `reflow-${REFLOW_WIDTH}`, width: REFLOW_WIDTH, height: REFLOW_HEIGHT },
+  ...ORIENTATIONS.map(({ name, width, height }) => ({ name, width, height }))
+];
+
+export function resolveViewports(cfg) {
+  if (cfg.viewports == null) return [];
+  if (!Array.isArray(cfg.viewports)) throw new Error('viewports must be an array of { name, width, height } objects');
+
+  const names = new Set();
+  return cfg.viewports.map((viewport, index) => {
+    const width = Number(viewport && viewport.width);
+    const height = Number(viewport && viewport.height);
+    if (!Number.isInteger(width) || width < 1 || !Number.isInteger(height) || height < 1) {
+      throw new Error(`Invalid viewport at index ${index}: ${JSON.stringify(viewport)}`);
+    }
+    const name = String(viewport.name || `${width}x${height}`);
+    if (names.has(name)) throw new Error(`Duplicate viewport name: ${name}`);
+    names.add(name);
+    return {
+      name,
+      width,
+      height,
+      deviceScaleFactor: Number(viewport.deviceScaleFactor) || 1,
+      isMobile: Boolean(viewport.isMobile),
+      hasTouch: Boolean(viewport.hasTouch ?? viewport.isMobile)
+    };
+  });
+}
+
+function settle(ms = 250) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export async function withViewport(page, viewport, fn) {
+  const original = page.viewport();
+  // Keep isMobile/hasTouch as they were so Puppeteer does not reload the page.
+  await page.setViewport({ ...original, ...viewport });
+  try {
+    await settle();
+    await installPageHelpers(page);
+    return await fn();
+  } finally {
+    if (original) await page.setViewport(original);
+  }
+}
+
+export async function runReflowAudit(page) {
+  const issues = await withViewport(page, { width: REFLOW_WIDTH, height: REFLOW_HEIGHT, isLandscape: false }, () =>
+    page.evaluate(() => {
+      const { cssPath, isVisible, describeNode, createCollector } = window.__a11y;
+      const { issues, push } = createCollector('custom-viewport-audit');
+
+      const root = document.scrollingElement || document.documentElement;
+      const viewportWidth = root.clientWidth;
+      const overflow = root.scrollWidth - viewportWidth;
+      if (overflow <= 1 || !document.body) return issues;
+
+      // Content that needs two-dimensional layout is allowed to scroll (WCAG 1.4.10 exception).
+      const exempt = 'table, pre, code, svg, canvas, video, iframe, img, picture, map, [role="application"], [role="img"], [role="grid"]';
+
+      function clippedByAncestor(el) {
+        for (let node = el.parentElement; node && node !== document.body && node !== document.documentElement; node = node.parentElement) {
+          const overflowX = window.getComputedStyle(node).overflowX;
+          if (['auto', 'scroll', 'hidden', 'clip'].includes(overflowX)) return true;
+        }
+        return false;
+      }
+
+      const offenders = [];
+      for (const el of document.body.querySelectorAll('*')) {
+        if (offenders.length >= 10) break;
+        if (!isVisible(el) || el.closest(exempt)) continue;
+        const rect = el.getBoundingClientRect();
+        if (rect.right <= viewportWidth + 1) continue;
+        if (offenders.some((offender) => offender.el.contains(el)) || clippedByAncestor(el)) continue;
+        offenders.push({ el, right: Math.round(rect.right + root.scrollLeft) });
+      }
+
+      for (const { el, right } of offenders) {
+        push({
+          code: 'WCAG2AA.Principle1.Guideline1_4.1_4_10.C32',
+          message: `Content does not reflow at ${viewportWidth} CSS px and forces horizontal scrolling.`,
+          selector: cssPath(el),
+          context: `Element: ${describeNode(el)}; right edge at ${right}px, page overflows by ${Math.round(overflow)}px`,
+          criterion: '1.4.10',
+          extras: { viewportWidth, overflow: Math.round(overflow), right }
+        });
+      }
+      return issues;
+    })
+  );
+  return issues.map((issue) => ({ ...issue, viewport: `reflow-${REFLOW_WIDTH}` }));
+}
+
+function measureOrientation() {
+  const { cssPath, cleanText, isVisible } = window.__a11y;
+  const body = document.body;
+
+  let rotation = 0;
+  for (const el of [document.documentElement, body].filter(Boolean)) {
+    const match = window.getComputedStyle(el).transform.match(/^matrix\(([^,]+),\s*([^,]+)/);
+    if (match) {
+      rotation = Math.round((Math.atan2(Number(match[2]), Number(match[1])) * 180) / Math.PI);
+      if (rotation) break;
+    }
+  }
+
+  const promptPattern = /\b(rotate|turn) (your )?(device|phone|screen|tablet)\b|\b(switch|change) to (portrait|landscape)\b|\bonly (available|works) in (portrait|landscape)\b/i;
+  let prompt = null;
+  if (body) {
+    const walker = document.createTreeWalker(body, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const parent = walker.currentNode.parentElement;
+      const text = cleanText(walker.currentNode.textContent);
+      if (parent && promptPattern.test(text) && isVisible(parent)) {
+        prompt = { selector: cssPath(parent), text: text.slice(0, 160) };
+        break;
+      }
+    }
+  }
+
+  return {
+    textLength: body ? cleanText(body.innerText).length : 0,
+    rotation,
+    prompt
+  };
+}
+
+export async function runOrientationAudit(page) {
+  const samples = [];
+  for (const orientation of ORIENTATIONS) {
+    const { name, ...viewport } = orientation;
+    const measured = await withViewport(page, viewport, () => page.evaluate(measureOrientation));
+    samples.push({ name, ...measured });
+  }
+
+  const issues = [];
+  for (const sample of samples) {
+    const other = samples.find((candidate) => candidate !== sample);
+    const reasons = [];
+    if (sample.prompt && !(other.prompt && other.prompt.selector === sample.prompt.selector)) {
+      reasons.push(`shows "${sample.prompt.text}"`);
+    }
+    if (Math.abs(sample.rotation) === 90 && Math.abs(other.rotation) !== 90) {
+      reasons.push(`rotates the page by ${sample.rotation}deg`);
+    }
+    if (other.textLength > 200 && sample.textLength < other.textLength * 0.2) {
+      reasons.push(`shows ${sample.textLength} characters of text versus ${other.textLength} in ${other.name}`);
+    }
+    if (!reasons.length) continue;
+
+    issues.push({
+      ...createIssue({
+        code: 'WCAG2AA.Principle1.Guideline1_3.1_3_4.F97',
+        message: `Content appears locked to ${other.name} orientation.`,
+        context: `In ${sample.name} the page ${reasons.join('; ')}.`,
+        selector: sample.prompt ? sample.prompt.selector : 'html',
+        runner: 'custom-viewport-audit',
+        criterion: '1.3.4',
+        extras: { rotation: sample.rotation, textLength: sample.textLength }
+      }),
+      viewport: sample.name
+    });
+  }
+  return issues;
+}
@@ -42,7 +42,18 @@ export function criteriaByLevel() {
   };
 }
 
+export function normaliseLevel(level = '') {
+  const clean = String(level || '').toUpperCase();
+  return ['A', 'AA', 'AAA'].includes(clean) ? clean : null;
+}
+
+export function levelsUpTo(level = 'AAA') {
+  const order = ['A', 'AA', 'AAA'];
+  return order.slice(0, order.indexOf(normaliseLevel(level) || 'AAA') + 1);
+}
+
 export function targetStandardFromLevel(level = '') {
   const clean = String(level || '').toUpperCase();
+  if (clean === 'A') return 'WCAG2A';
   return clean === 'AAA' ? 'WCAG2AAA' : 'WCAG2AA';
 }